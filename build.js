@@ -44,8 +44,8 @@ function escapeJS(str) {
 // Strip ES module syntax from source file
 function stripModuleSyntax(code) {
   return code
-    // Remove import statements
-    .replace(/^import\s+.*?from\s+['"].*?['"];?\s*$/gm, '')
+    // Remove import statements (including multi-line import lists)
+    .replace(/^import\s+[^;]*?\s+from\s+['"].*?['"];?\s*$/gm, '')
     .replace(/^import\s+['"].*?['"];?\s*$/gm, '')
     // Remove export keywords but keep the declarations
     .replace(/^export\s+(function|const|let|var|class)\s+/gm, '$1 ')
@@ -56,6 +56,24 @@ function stripModuleSyntax(code) {
     .trim();
 }
 
+// Replace the asset placeholders declared in embed.js
+function injectAssets(code, css, html, translations) {
+  const replacements = {
+    "'/* __CSS_PLACEHOLDER__ */'": `'${escapeJS(css)}'`,
+    "'<!-- __HTML_PLACEHOLDER__ -->'": `'${escapeJS(html)}'`
+  };
+  Object.keys(translations).forEach(lang => {
+    replacements[`'__${lang.toUpperCase()}_PLACEHOLDER__'`] = JSON.stringify(translations[lang]);
+  });
+
+  return Object.entries(replacements).reduce((out, [placeholder, value]) => {
+    if (!out.includes(placeholder)) {
+      throw new Error(`Placeholder ${placeholder} not found in embed.js`);
+    }
+    return out.split(placeholder).join(value);
+  }, code);
+}
+
 // Create the bundle
 function createBundle() {
   console.log('Reading source files...');
@@ -77,13 +95,69 @@ function createBundle() {
   };
 
   // Read JS source files and strip module syntax
+  const marketsJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'markets.js'))
+  );
+  const formatJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'format.js'))
+  );
+  const unitsJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'units.js'))
+  );
   const localizationJS = stripModuleSyntax(
     readFile(path.join(SRC_DIR, 'js', 'localization.js'))
   );
+  const engineJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'engine.js'))
+  );
+  const eventsJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'events.js'))
+  );
+  const inputsJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'inputs.js'))
+  );
+  const shareJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'share.js'))
+  );
+  const scenariosJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'scenarios.js'))
+  );
+  const storageJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'storage.js'))
+  );
+  const chartJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'chart.js'))
+  );
+  const pricingJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'pricing.js'))
+  );
+  const reportJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'report.js'))
+  );
+  const exportJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'export.js'))
+  );
+  const leadsJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'leads.js'))
+  );
+  const handoffJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'handoff.js'))
+  );
+  const themeJS = stripModuleSyntax(
+    readFile(path.join(SRC_DIR, 'js', 'theme.js'))
+  );
   const calculatorJS = stripModuleSyntax(
     readFile(path.join(SRC_DIR, 'js', 'calculator.js'))
   );
 
+  // The embed entry point declares placeholder assets; swap in the real content
+  const embedJS = injectAssets(
+    stripModuleSyntax(readFile(path.join(SRC_DIR, 'js', 'embed.js'))),
+    minifiedCSS,
+    minifiedHTML,
+    translations
+  );
+
   // Create the bundled output
   const bundle = `/**
  * TecBlu Calculator Widget
@@ -91,88 +165,132 @@ function createBundle() {
  *
  * Usage:
  *   <div id="tecblu-calculator"></div>
+ *   <div data-tecblu-calculator data-lang="fr" data-country="CH"></div>
+ *
+ * Container attributes (override detection and template defaults):
+ *   data-lang, data-country, data-tab (diesel|heating), data-vehicles, data-km,
+ *   data-consumption (truck|van|transporter|car or L/100km), data-diesel-price,
+ *   data-diesel-savings, data-building (single|multi|commercial), data-heating-liters,
+ *   data-heating-price, data-heating-savings, data-quote-url,
+ *   data-pricing-url (JSON pricing feed, see pricing.json; falls back to the bundled prices),
+ *   data-lead-url (quote requests are sent here from an inline form instead of opening the quote page,
+ *   see src/js/leads.js; "npm run mock-leads" runs a local endpoint),
+ *   data-handoff-key (sign the calculation passed to the quote page as ?calc=, see src/js/handoff.js),
+ *   data-groups (mixed fleet as vehicles*km*consumption, e.g. "8*120000*truck;15*40000*van"),
+ *   data-years, data-price-escalation, data-discount-rate (multi-year projection),
+ *   data-fuel (diesel|petrol|biodiesel|hvo), data-co2-basis (ttw|wtw, tank- or well-to-wheel CO₂ factors),
+ *   data-units (metric|uk|us, or per quantity like "mi,mpg-uk,gal-uk,kg"; inputs stay metric),
+ *   data-shadow (render inside a shadow root, isolated from page styles),
+ *   data-datalayer (push events to window.dataLayer for GTM; tecblu:calculated once the inputs settle),
+ *   data-share (keep the inputs in the page URL for shareable links; data-tab and the other inputs
+ *   win over the link, links for another country are ignored), data-state-key (query parameter,
+ *   default "tecblu", one per calculator on the page),
+ *   data-persist (remember inputs in localStorage per site, calculator and country, with a reset
+ *   button, and the saved scenarios per site and calculator), data-storage-key (name of the saved
+ *   inputs, default: the state key, one per calculator on the page),
+ *   data-export (CSV, JSON and copy summary buttons; columns documented in src/js/export.js),
+ *   data-theme (light|dark|auto, or a JSON theme object with colors, radius, shadow, font and CTA texts,
+ *   see src/js/theme.js), data-load-fonts="false" (no Google Fonts request),
+ *   data-cta-phone (replace or add the phone number below the quote button, or "false" to hide it)
+ *
+ * Events (dispatched on the container):
+ *   tecblu:ready, tecblu:tabchange, tecblu:inputchange, tecblu:calculated, tecblu:cta-click,
+ *   tecblu:reset, tecblu:report, tecblu:lead, tecblu:scenariochange
  *   <script src="https://cdn.jsdelivr.net/gh/grimnebluna/tecblu-calc-embed@main/dist/tecblu-calc.js"></script>
  *
- * Language is auto-detected from hostname, or use ?lang=de|en|fr|it
+ * Language and country are auto-detected from the hostname (markets in src/js/markets.js),
+ * or use ?lang=de|en|fr|it and ?country=CH|DE|AT|FR|IT|LI|LU|BE|NL|PL|CZ
+ * With data-share, inputs are kept in the page URL (?tecblu=cc:CH,t:diesel,v:20,km:120000,c:truck) so links can be shared
+ *
+ * Programmatic use:
+ *   const calc = TecBluCalc.create(element, { lang: 'fr', country: 'CH', tab: 'heating' });
+ *   calc.setInputs({ vehicles: 20, km: 120000 });
+ *   calc.getResults(); calc.downloadReport(); calc.exportResults('csv');   // or 'json', 'text'
+ *   calc.saveScenario('Trucks only'); calc.getScenarios(); calc.removeScenario(id);   // comparison table
+ *   calc.setLanguage('it'); calc.setCountry('IT'); calc.setUnits('uk'); calc.setTheme('dark'); calc.destroy();
+ *   TecBluCalc.create(element, { theme: { mode: 'auto', colors: { primary: '#0b5fff' }, shadow: 'flat', cta: { phone: false } } });
+ *   TecBluCalc.create(element, { dataLayer: true, onEvent: (name, detail) => {} });
+ *   TecBluCalc.decodeHandoff(new URLSearchParams(location.search).get('calc'), { key })   // on the quote page
  */
 
 (function() {
   'use strict';
 
+  // ==================== MARKETS ====================
+
+${marketsJS}
+
+  // ==================== FORMAT ====================
+
+${formatJS}
+
+  // ==================== UNITS ====================
+
+${unitsJS}
+
   // ==================== LOCALIZATION ====================
 
 ${localizationJS}
 
-  // ==================== CALCULATOR ====================
+  // ==================== ENGINE ====================
 
-${calculatorJS}
+${engineJS}
 
-  // ==================== ASSETS ====================
+  // ==================== EVENTS ====================
 
-  const CSS_CONTENT = '${escapeJS(minifiedCSS)}';
+${eventsJS}
 
-  const HTML_CONTENT = '${escapeJS(minifiedHTML)}';
+  // ==================== INPUTS ====================
 
-  const TRANSLATIONS = ${JSON.stringify(translations)};
+${inputsJS}
 
-  // ==================== INITIALIZATION ====================
+  // ==================== SHARE ====================
 
-  function loadFonts() {
-    if (document.querySelector('link[href*="fonts.googleapis.com/css2?family=Inter"]')) return;
+${shareJS}
 
-    const p1 = document.createElement('link');
-    p1.rel = 'preconnect';
-    p1.href = 'https://fonts.googleapis.com';
-    document.head.appendChild(p1);
+  // ==================== SCENARIOS ====================
 
-    const p2 = document.createElement('link');
-    p2.rel = 'preconnect';
-    p2.href = 'https://fonts.gstatic.com';
-    p2.crossOrigin = 'anonymous';
-    document.head.appendChild(p2);
+${scenariosJS}
 
-    const f = document.createElement('link');
-    f.rel = 'stylesheet';
-    f.href = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
-    document.head.appendChild(f);
-  }
+  // ==================== STORAGE ====================
 
-  function injectStyles() {
-    if (document.getElementById('tecblu-calc-styles')) return;
-    const s = document.createElement('style');
-    s.id = 'tecblu-calc-styles';
-    s.textContent = CSS_CONTENT;
-    document.head.appendChild(s);
-  }
+${storageJS}
 
-  function init() {
-    const container = document.getElementById('tecblu-calculator');
-    if (!container) {
-      console.warn('TecBlu Calculator: Container #tecblu-calculator not found');
-      return;
-    }
+  // ==================== CHART ====================
 
-    const lang = detectLanguage();
-    const country = detectCountry();
-    loadFonts();
-    injectStyles();
-    container.innerHTML = HTML_CONTENT;
+${chartJS}
 
-    const translations = TRANSLATIONS[lang] || TRANSLATIONS.de;
-    const wrapper = container.querySelector('.tec-calc-wrapper');
-    if (wrapper) applyTranslations(wrapper, translations);
+  // ==================== PRICING ====================
 
-    initCalculator(lang, country, TRANSLATIONS);
-    container.dataset.tecbluInit = 'true';
-  }
+${pricingJS}
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  // ==================== REPORT ====================
+
+${reportJS}
+
+  // ==================== EXPORT ====================
+
+${exportJS}
+
+  // ==================== LEADS ====================
+
+${leadsJS}
+
+  // ==================== HANDOFF ====================
+
+${handoffJS}
+
+  // ==================== THEME ====================
+
+${themeJS}
+
+  // ==================== CALCULATOR ====================
+
+${calculatorJS}
+
+  // ==================== EMBED ====================
 
-  window.TecBluCalc = { init: init, detectLanguage: detectLanguage, detectCountry: detectCountry };
+${embedJS}
 })();
 `;
 
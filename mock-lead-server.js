@@ -0,0 +1,80 @@
+/**
+ * TecBlu Calculator Widget - Mock Lead Endpoint
+ *
+ * Accepts quote requests from the inline lead form (data-lead-url) on
+ * localhost, checks their shape and prints them. Nothing is stored or sent.
+ *
+ * Usage:
+ *   node mock-lead-server.js                 - Listen on http://localhost:8787/leads
+ *   PORT=9000 node mock-lead-server.js       - Another port
+ *   LEAD_FAIL=1 node mock-lead-server.js     - Answer every request with HTTP 500 (error and retry states)
+ *   LEAD_DELAY=3000 node mock-lead-server.js - Answer after 3 seconds (sending state)
+ *
+ *   <div id="tecblu-calculator" data-lead-url="http://localhost:8787/leads"></div>
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL = process.env.LEAD_FAIL === '1';
+const DELAY = Number(process.env.LEAD_DELAY) || 0;
+
+// Largest request body accepted (bytes)
+const MAX_BODY = 64 * 1024;
+
+let leadCount = 0;
+
+// Check the payload built by buildLeadPayload (src/js/leads.js)
+function validatePayload(payload) {
+  if (!payload || payload.version !== 1) return 'version must be 1';
+  if (!payload.lead || !payload.lead.name || !payload.lead.email) return 'lead.name and lead.email are required';
+  if (payload.lead.consent !== true) return 'lead.consent must be true';
+  if (!payload.calculation || !payload.calculation.results) return 'calculation is missing';
+  return null;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  // CORS preflight of the JSON POST
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method !== 'POST' || req.url.split('?')[0] !== '/leads') return send(res, 404, { error: 'POST /leads' });
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY) req.destroy();
+  });
+  req.on('end', () => {
+    setTimeout(() => {
+      if (FAIL) return send(res, 500, { error: 'LEAD_FAIL is set' });
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        return send(res, 400, { error: 'Body is not JSON' });
+      }
+      const error = validatePayload(payload);
+      if (error) return send(res, 422, { error });
+
+      const id = ++leadCount;
+      const { lead, calculation, context } = payload;
+      console.log(`Lead #${id}: ${lead.name} <${lead.email}>${lead.company ? ', ' + lead.company : ''} - ` +
+        `${calculation.type}, net ${calculation.results.net} ${calculation.currency}/year (${context.lang}-${context.country})`);
+      send(res, 201, { id });
+    }, DELAY);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock lead endpoint on http://localhost:${PORT}/leads${FAIL ? ' (failing every request)' : ''}`);
+});
@@ -1,431 +1,2358 @@
 /**
- * TecBlu Calculator - Core Calculation Logic
+ * TecBlu Calculator - UI Logic
+ * Binds the template to the savings engine (engine.js)
  */
 
-import { formatCurrency, formatNumber, COUNTRY_CONFIG, getQuoteUrl } from './localization.js';
+import { getQuoteUrl, applyTranslations, getNestedValue } from './localization.js';
+import { COUNTRY_CONFIG } from './markets.js';
+import { createFormatter } from './format.js';
+import { UNITS, resolveUnits, toDisplay, fromDisplay, displayLimits } from './units.js';
+import {
+  LIMITS,
+  BUILDING_PRESETS,
+  CONSUMPTION_PRESETS,
+  MAX_FLEET_GROUPS,
+  FUELS,
+  CO2_BASES,
+  clamp,
+  priceLimits,
+  computeFuelSavings,
+  computeFleetSavings,
+  computeHeatingSavings,
+  computeProjection,
+  computeBreakEven,
+  computeSensitivity,
+  estimateHeatingLiters
+} from './engine.js';
+import { dispatchWidgetEvent, INPUT_DEBOUNCE_MS } from './events.js';
+import { buildShareUrl, copyText } from './share.js';
+import { renderLineChart } from './chart.js';
+import { renderReportPdf, renderReportText, downloadFile } from './report.js';
+import { buildExport, exportCsv } from './export.js';
+import { HANDOFF_PARAM, encodeHandoff, signHandoff } from './handoff.js';
+import { LEAD_FIELDS, validateLead, buildLeadPayload, submitLead } from './leads.js';
+import { resolveTheme, applyTheme, applyCtaTexts } from './theme.js';
+import { MAX_SCENARIOS, SCENARIO_METRICS, createScenario, setBaseline, compareScenarios } from './scenarios.js';
 
-// Constants
-const CO2_LITER = 2.65;
-const MAX_OUT = 999999999999;
+// Vehicle counts that have their own button
+const VEHICLE_PRESETS = [1, 5, 10, 20];
 
-// Building presets for heating oil consumption
-const BUILDING_PRESETS = {
-  single: 3000,
-  multi: 8000,
-  commercial: 50000
+// Formats of exportResults
+const EXPORT_FORMATS = ['json', 'csv', 'text'];
+
+// Wait after the last change before screen readers hear the net savings (ms)
+const ANNOUNCE_DELAY_MS = 1000;
+
+// Attributes that reference element IDs, rewritten when the IDs are made unique
+const ID_REF_ATTRIBUTES = ['for', 'aria-controls', 'aria-labelledby', 'aria-describedby'];
+
+// Metric limits of the inputs shown in display units (data-unit-input="distance")
+const UNIT_LIMITS = {
+  distance: LIMITS.km,
+  consumption: LIMITS.cons,
+  volume: LIMITS.heating
 };
 
-// Input limits
-const LIMITS = {
-  km: [1000, 300000],
-  cons: [1, 150],
-  vehicles: [1, 1000],
-  heating: [500, 500000],
-  price: [0.5, 5],
-  savings: [1, 25]
+// Number of calculators mounted on the page, used to keep element IDs unique
+let instanceCount = 0;
+
+// DOM helpers (scoped to one calculator instance)
+const $ = (inst, id) => inst.els[id];
+const $$ = (inst, sel) => inst.wrapper.querySelectorAll(sel);
+
+/**
+ * Create the state object for one calculator instance
+ * @param {HTMLElement} wrapper - The .tec-calc-wrapper element of this instance
+ * @param {string} lang - Language code
+ * @param {string} country - Country code
+ * @returns {Object} Instance state
+ */
+function createInstance(wrapper, lang, country) {
+  return {
+    uid: ++instanceCount,
+    wrapper,
+    host: wrapper,
+    els: {},
+    currentTab: 'diesel',
+    vehicles: 5,
+    fleetMode: false,
+    estimating: false,
+    estimatedLiters: null,
+    currentLang: lang,
+    currentCountry: country,
+    currentCurrency: 'CHF',
+    fmt: null,
+    units: resolveUnits(),
+    currentTecCost: 0.0463,
+    currentQuoteUrl: '/offerte-einholen',
+    leadUrl: null,
+    handoffKey: null,
+    leadState: 'form',
+    leadErrors: {},
+    theme: null,
+    pricing: null,
+    allTranslations: null,
+    results: null,
+    listener: null,
+    inputTimer: null,
+    lastInputs: null,
+    stateKey: null,
+    copyTimers: {},
+    announceTimer: null,
+    announced: null,
+    scenarios: [],
+    defaultInputs: null
+  };
+}
+
+/**
+ * Index all elements with an ID inside the wrapper and make their IDs unique
+ * on the page by appending the instance number (tec-km-input -> tec-km-input-2).
+ * Lookups go through inst.els using the original template ID; label and ARIA
+ * references follow the new IDs.
+ * @param {Object} inst - Calculator instance
+ */
+function scopeElements(inst) {
+  inst.wrapper.querySelectorAll('[id]').forEach(el => {
+    inst.els[el.id] = el;
+    el.id = `${el.id}-${inst.uid}`;
+  });
+
+  const selector = ID_REF_ATTRIBUTES.map(attr => `[${attr}]`).join(',');
+  inst.wrapper.querySelectorAll(selector).forEach(el => {
+    ID_REF_ATTRIBUTES.forEach(attr => {
+      if (!el.hasAttribute(attr)) return;
+      const ids = el.getAttribute(attr).split(/\s+/).map(id => (inst.els[id] ? `${id}-${inst.uid}` : id));
+      el.setAttribute(attr, ids.join(' '));
+    });
+  });
+}
+
+// Template actions (data-action="event:name"), called with the instance, the element and the DOM event
+const ACTIONS = {
+  'switch-tab': (inst, el) => {
+    const previousTab = inst.currentTab;
+    switchTab(inst, el.dataset.tab);
+    if (inst.currentTab !== previousTab) {
+      dispatchWidgetEvent(inst.host, 'tabchange', { tab: inst.currentTab, previousTab });
+    }
+  },
+  'tab-key': (inst, el, e) => focusTab(inst, el, e),
+  'dismiss-tooltip': (inst, el, e) => {
+    if (e.key === 'Escape') el.classList.add('tec-tooltip-dismissed');
+  },
+  'restore-tooltip': (inst, el) => el.classList.remove('tec-tooltip-dismissed'),
+  'set-vehicles': (inst, el) => setVehicles(inst, parseInt(el.dataset.val)),
+  'toggle-custom-vehicles': inst => toggleCustomVehicles(inst),
+  'calc-raw': inst => calcRaw(inst),
+  'calc-raw-vehicles': inst => calcRawVehicles(inst),
+  'clamp-vehicles': inst => clampVehicles(inst),
+  'clamp-consumption': inst => clampConsumption(inst),
+  'sync-km': inst => syncKm(inst, 'slider'),
+  'sync-km-raw': inst => syncKmRaw(inst),
+  'clamp-km': inst => clampKm(inst),
+  'adjust-price': (inst, el) => adjustPrice(inst, el.dataset.price, parseFloat(el.dataset.delta)),
+  'handle-consumption': inst => handleConsumption(inst),
+  'toggle-advanced': (inst, el) => toggleAdvanced(inst, el.dataset.panel),
+  'sync-savings': inst => syncSavings(inst),
+  'set-building': (inst, el) => setBuilding(inst, el.dataset.type),
+  'sync-heating': inst => syncHeating(inst, 'slider'),
+  'sync-heating-raw': inst => syncHeatingRaw(inst),
+  'clamp-heating': inst => clampHeating(inst),
+  'sync-heating-savings': inst => syncHeatingSavings(inst),
+  'toggle-estimate': inst => toggleEstimate(inst),
+  'estimate': inst => {
+    applyEstimate(inst);
+    calculate(inst);
+  },
+  'clamp-estimate': inst => clampEstimate(inst),
+  'toggle-fleet': inst => toggleFleet(inst),
+  'add-fleet-group': inst => {
+    addFleetGroup(inst);
+    calculate(inst);
+  },
+  'remove-fleet-group': (inst, el) => removeFleetGroup(inst, el.closest('.tec-fleet-row')),
+  'fleet-consumption': (inst, el) => handleFleetConsumption(inst, el.closest('.tec-fleet-row')),
+  'clamp-fleet': (inst, el) => clampFleetRow(inst, el.closest('.tec-fleet-row')),
+  'toggle-projection': inst => toggleProjection(inst),
+  'toggle-sensitivity': inst => toggleSensitivity(inst),
+  'toggle-scenarios': inst => toggleScenarios(inst),
+  'save-scenario': (inst, el, e) => {
+    e.preventDefault();
+    saveScenario(inst, $(inst, 'tec-scenario-name').value);
+  },
+  'apply-scenario': (inst, el) => applyScenario(inst, el.closest('tr').dataset.id),
+  'set-baseline': (inst, el) => updateScenarios(inst, setBaseline(inst.scenarios, el.closest('tr').dataset.id)),
+  'remove-scenario': (inst, el) => removeScenario(inst, el.closest('tr').dataset.id),
+  'clamp-projection': inst => clampProjection(inst),
+  'set-co2-basis': (inst, el) => {
+    showCo2Basis(inst, el.value);
+    calculate(inst);
+  },
+  'calc': inst => calculate(inst),
+  'copy-link': (inst, el) => copyShareLink(inst, el),
+  'reset-inputs': inst => resetInputs(inst),
+  'download-report': inst => downloadReport(inst),
+  'export-csv': inst => downloadExport(inst, 'csv'),
+  'export-json': inst => downloadExport(inst, 'json'),
+  'copy-summary': (inst, el) => copySummary(inst, el),
+  'cta-click': (inst, el, e) => {
+    const params = new URL(el.href, window.location.href).searchParams;
+    dispatchWidgetEvent(inst.host, 'cta-click', {
+      type: params.get('type'),
+      savings: Number(params.get('savings')),
+      liters: Number(params.get('liters')),
+      href: el.href
+    });
+    // With a lead endpoint the quote is requested in the widget
+    if (inst.leadUrl) {
+      e.preventDefault();
+      openLeadForm(inst);
+    } else {
+      followCtaLink(inst, el, e);
+    }
+  },
+  'close-lead': inst => closeLeadForm(inst),
+  'submit-lead': (inst, el, e) => {
+    e.preventDefault();
+    sendLead(inst);
+  }
 };
 
-// State
-let currentTab = 'diesel';
-let vehicles = 5;
-let currentLang = 'de';
-let currentCountry = 'CH';
-let currentCurrency = 'CHF';
-let currentTecCost = 0.0463;
-let currentQuoteUrl = '/offerte-einholen';
+// DOM events listened to on the wrapper; blur does not bubble, so focusout stands in for it
+const DELEGATED_EVENTS = { click: 'click', input: 'input', change: 'change', focusout: 'blur', submit: 'submit', keydown: 'keydown' };
+
+/**
+ * Bind one delegated listener per event type to the wrapper. Elements declare
+ * their handlers as data-action="input:sync-km-raw blur:clamp-km", so the
+ * template needs no inline handlers and nothing is put on window.
+ * @param {Object} inst - Calculator instance
+ */
+function bindEvents(inst) {
+  inst.listener = e => {
+    const el = e.target.closest && e.target.closest('[data-action]');
+    if (!el || !inst.wrapper.contains(el)) return;
+
+    const type = DELEGATED_EVENTS[e.type];
+    el.dataset.action.split(/\s+/).forEach(entry => {
+      const [event, name] = entry.split(':');
+      if (event === type && ACTIONS[name]) ACTIONS[name](inst, el, e);
+    });
+    scheduleInputChange(inst);
+  };
+
+  Object.keys(DELEGATED_EVENTS).forEach(type => inst.wrapper.addEventListener(type, inst.listener));
+}
 
-// DOM helpers
-const $ = id => document.getElementById(id);
-const $$ = sel => document.querySelectorAll(sel);
-const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+/**
+ * Fire tecblu:inputchange once the user stops editing, if the inputs changed
+ * @param {Object} inst - Calculator instance
+ */
+function scheduleInputChange(inst) {
+  clearTimeout(inst.inputTimer);
+  inst.inputTimer = setTimeout(() => {
+    const inputs = getInputs(inst);
+    const key = JSON.stringify(inputs);
+    if (key === inst.lastInputs) return;
+    inst.lastInputs = key;
+    dispatchWidgetEvent(inst.host, 'inputchange', { inputs });
+  }, INPUT_DEBOUNCE_MS);
+}
 
 /**
- * Initialize the calculator
+ * Initialize a calculator instance
+ * @param {HTMLElement} wrapper - The .tec-calc-wrapper element to bind to
  * @param {string} lang - Language code
  * @param {string} country - Country code (CH, DE, AT, FR, IT)
  * @param {Object} allTranslations - All translations {de: {...}, en: {...}, fr: {...}, it: {...}}
+ * @param {Object} options - Optional settings
+ * @param {Object} [options.inputs] - Initial inputs (see setInputs)
+ * @param {string} [options.quoteUrl] - Quote page URL, overrides the hostname-based default
+ * @param {HTMLElement} [options.host] - Element widget events are dispatched on (default: wrapper)
+ * @param {Object} [options.savedInputs] - Inputs restored from a shared link or storage, applied over the defaults
+ * @param {string} [options.stateKey] - Query parameter for shareable links; shows the copy link button
+ * @param {boolean} [options.resettable] - Show the reset to defaults button
+ * @param {boolean} [options.exportable] - Show the CSV, JSON and copy summary buttons
+ * @param {string} [options.leadUrl] - Lead endpoint; the quote button then opens the inline request form (see leads.js)
+ * @param {string} [options.handoffKey] - Key to sign the calculation passed to the quote page (see handoff.js)
+ * @param {string|Object} [options.units] - Display units (see resolveUnits in units.js, default: metric)
+ * @param {Object} [options.theme] - Theme from resolveTheme (see theme.js, default: light TecBlu theme)
+ * @param {Object[]} [options.scenarios] - Saved scenarios for the comparison table (see scenarios.js)
+ * @returns {Object} The calculator instance
  */
-export function initCalculator(lang = 'de', country = 'CH', allTranslations = null) {
-  currentLang = lang;
-  currentCountry = country;
+export function initCalculator(wrapper, lang = 'de', country = 'CH', allTranslations = null, options = {}) {
+  const inst = createInstance(wrapper, lang, country);
+  inst.allTranslations = allTranslations;
+  if (options.host) inst.host = options.host;
+  scopeElements(inst);
+
+  // Savings sliders span LIMITS.savings, the range setInputs and data-* attributes accept
+  ['tec-savings-slider', 'tec-heating-savings-slider'].forEach(id => {
+    Object.assign($(inst, id), { min: LIMITS.savings[0], max: LIMITS.savings[1] });
+  });
+
+  // Shareable links
+  inst.stateKey = options.stateKey || null;
+  $(inst, 'tec-share-btn').classList.toggle('tec-hidden', !inst.stateKey);
+  $(inst, 'tec-reset-btn').classList.toggle('tec-hidden', !options.resettable);
+  $$(inst, '.tec-export-btn').forEach(btn => btn.classList.toggle('tec-hidden', !options.exportable));
+  inst.leadUrl = options.leadUrl || null;
+  inst.handoffKey = options.handoffKey || null;
+  inst.scenarios = options.scenarios || [];
+
+  // Brand colors, dark mode and the partner's CTA texts
+  inst.theme = options.theme || resolveTheme();
+  applyTheme(wrapper, inst.theme);
+  applyCtaTexts(wrapper, inst.theme, inst.currentLang);
 
   // Apply country-specific configuration
-  const config = COUNTRY_CONFIG[country] || COUNTRY_CONFIG.CH;
-  currentCurrency = config.currency;
-  currentTecCost = config.tecCost;
+  applyCountry(inst);
+
+  // Display units; the template values are metric
+  const units = resolveUnits(options.units);
+  if (!units) console.warn(`TecBlu Calculator: Unsupported units "${options.units}", using metric`);
+  applyUnits(inst, units || resolveUnits());
+
+  // Get quote URL based on hostname, unless one was configured
+  inst.currentQuoteUrl = options.quoteUrl || getQuoteUrl(allTranslations);
+
+  // Bind template actions
+  bindEvents(inst);
+
+  // Initial calculation
+  if (options.inputs) {
+    setInputs(inst, options.inputs);
+  } else {
+    calculate(inst);
+  }
+
+  // Template and configured inputs are what the reset button goes back to
+  inst.defaultInputs = getInputs(inst);
+  if (options.savedInputs) setInputs(inst, options.savedInputs);
+  inst.lastInputs = JSON.stringify(getInputs(inst));
+
+  // Screen readers hear the net savings when they change, not on load
+  clearTimeout(inst.announceTimer);
+  inst.announced = $(inst, 'tec-primary-result').textContent;
+
+  return inst;
+}
+
+/**
+ * Apply the configuration of the instance's country: currency, TecBlu cost
+ * and default prices
+ * @param {Object} inst - Calculator instance
+ */
+function applyCountry(inst) {
+  const config = getCountryConfig(inst);
 
   // Set country-specific default prices
-  const dieselPriceEl = $('tec-diesel-price');
-  const heatingPriceEl = $('tec-heating-price');
+  const dieselPriceEl = $(inst, 'tec-diesel-price');
+  const heatingPriceEl = $(inst, 'tec-heating-price');
   if (dieselPriceEl) dieselPriceEl.value = config.dieselPrice.toFixed(2);
   if (heatingPriceEl) heatingPriceEl.value = config.heatingPrice.toFixed(2);
 
-  // Update currency display in price inputs
-  const currencyEls = document.querySelectorAll('.tec-price-currency');
-  currencyEls.forEach(el => {
-    el.textContent = config.currency === 'EUR' ? '€' : 'CHF';
+  applyCountryDisplay(inst, config);
+}
+
+/**
+ * Show the currency, TecBlu cost and price date of a country configuration
+ * @param {Object} inst - Calculator instance
+ * @param {Object} config - Country configuration
+ */
+function applyCountryDisplay(inst, config) {
+  inst.currentCurrency = config.currency;
+  inst.currentTecCost = config.tecCost;
+  inst.fmt = createFormatter(inst.currentLang, inst.currentCountry, config.currency);
+
+  // Update currency display and range of the price inputs; lang lets browsers
+  // show the locale's decimal separator in the number inputs
+  $$(inst, '.tec-price-currency').forEach(el => {
+    el.textContent = inst.fmt.symbol;
   });
+  const [min, max] = priceLimits(config);
+  ['tec-diesel-price', 'tec-heating-price'].forEach(id => {
+    Object.assign($(inst, id), { min, max, step: config.priceStep || 0.05, lang: inst.fmt.locale });
+  });
+
+  // Phone number of the market, unless the theme replaces or hides it
+  const phone = $(inst, 'tec-cta-phone');
+  const number = inst.theme.cta.phone !== undefined ? inst.theme.cta.phone : config.phone;
+  phone.closest('.tec-cta-phone').classList.toggle('tec-hidden', !number);
+  if (number) {
+    phone.textContent = number;
+    phone.href = 'tel:' + number.replace(/[^\d+]/g, '');
+  }
 
   // Update TecBlu cost display
-  updateTecbluCostDisplay(config);
-
-  // Get quote URL based on hostname
-  currentQuoteUrl = getQuoteUrl(allTranslations);
-
-  // Bind all functions to window for onclick handlers
-  window.tecSwitchTab = switchTab;
-  window.tecSetVehicles = setVehicles;
-  window.tecToggleCustomVehicles = toggleCustomVehicles;
-  window.tecCalcRaw = calcRaw;
-  window.tecCalcRawVehicles = calcRawVehicles;
-  window.tecClampVehicles = clampVehicles;
-  window.tecClampConsumption = clampConsumption;
-  window.tecSyncKm = syncKm;
-  window.tecSyncKmRaw = syncKmRaw;
-  window.tecClampKm = clampKm;
-  window.tecAdjustPrice = adjustPrice;
-  window.tecHandleConsumption = handleConsumption;
-  window.tecToggleAdvanced = toggleAdvanced;
-  window.tecSyncSavings = syncSavings;
-  window.tecSetBuilding = setBuilding;
-  window.tecSyncHeating = syncHeating;
-  window.tecSyncHeatingRaw = syncHeatingRaw;
-  window.tecClampHeating = clampHeating;
-  window.tecSyncHeatingSavings = syncHeatingSavings;
-  window.tecCalc = calculate;
+  updateTecbluCostDisplay(inst, config);
+  updatePriceHints(inst, config);
+  renderEstimateOptions(inst, config);
+}
 
-  // Initial calculation
-  calculate();
+/**
+ * Get the configuration of the instance's country, with the prices of the
+ * pricing feed once it is loaded
+ * @param {Object} inst - Calculator instance
+ * @returns {Object} Country configuration
+ */
+function getCountryConfig(inst) {
+  const config = COUNTRY_CONFIG[inst.currentCountry] || COUNTRY_CONFIG.CH;
+  const feed = inst.pricing && inst.pricing[inst.currentCountry];
+  return feed ? { ...config, ...feed } : config;
+}
+
+/**
+ * Use prices from a pricing feed. Prices still at the previous default are
+ * updated; prices set by the visitor or the embedding page are kept.
+ * @param {Object} inst - Calculator instance
+ * @param {Object|null} pricing - Feed entries keyed by country code (see pricing.js), null for the bundled prices
+ */
+export function setPricing(inst, pricing) {
+  const previous = getCountryConfig(inst);
+  const current = getInputs(inst);
+
+  inst.pricing = pricing;
+  const config = getCountryConfig(inst);
+
+  [['dieselPrice', 'tec-diesel-price'], ['heatingPrice', 'tec-heating-price']].forEach(([key, id]) => {
+    if (current[key] === previous[key]) $(inst, id).value = config[key].toFixed(2);
+    if (inst.defaultInputs && inst.defaultInputs[key] === previous[key]) inst.defaultInputs[key] = config[key];
+  });
+
+  applyCountryDisplay(inst, config);
+  calculate(inst);
+}
+
+/**
+ * Show the date of the prices below the price inputs: the feed's date, or
+ * the bundled text
+ * @param {Object} inst - Calculator instance
+ * @param {Object} config - Country configuration
+ */
+function updatePriceHints(inst, config) {
+  ['diesel', 'heating'].forEach(type => {
+    $(inst, `tec-${type}-price-hint`).textContent = priceHintText(inst, type, config);
+  });
+}
+
+/**
+ * Get the date text of the prices
+ * @param {Object} inst - Calculator instance
+ * @param {string} type - 'diesel' or 'heating'
+ * @param {Object} config - Country configuration
+ * @returns {string} e.g. "Durchschnitt Stand 31. Januar 2026"
+ */
+function priceHintText(inst, type, config) {
+  const translations = inst.wrapper._tecTranslations;
+  if (config.asOf) {
+    const template = translations?.pricing?.asOf || 'Durchschnitt Stand {date}';
+    return template.replace('{date}', inst.fmt.date(config.asOf));
+  }
+  return translations?.[type]?.priceHint || 'Durchschnitt Stand Januar 2026';
 }
 
 /**
  * Update TecBlu cost display with country-specific value
+ * @param {Object} inst - Calculator instance
+ * @param {Object} config - Country configuration
+ */
+function updateTecbluCostDisplay(inst, config) {
+  ['diesel', 'heating'].forEach(type => {
+    const costEl = inst.wrapper.querySelector(`[data-i18n="${type}.tecbluCost"]`);
+    if (costEl) costEl.textContent = tecbluCostText(inst, type, config);
+  });
+}
+
+/**
+ * Get the TecBlu cost text
+ * @param {Object} inst - Calculator instance
+ * @param {string} type - 'diesel' or 'heating'
  * @param {Object} config - Country configuration
+ * @returns {string} e.g. "TecBlu: CHF 0.0463 pro Liter"
+ */
+function tecbluCostText(inst, type, config) {
+  const template = inst.wrapper._tecTranslations?.[type]?.tecbluCost || 'TecBlu: {price} pro Liter';
+  return template.replace('{price}', inst.fmt.price(config.tecCost, 4));
+}
+
+/**
+ * Set the current language and re-apply translations
+ * @param {Object} inst - Calculator instance
+ * @param {string} lang - Language code
+ */
+export function setLanguage(inst, lang) {
+  const translations = inst.allTranslations && inst.allTranslations[lang];
+  if (!translations) {
+    console.warn(`TecBlu Calculator: Unsupported language "${lang}"`);
+    return;
+  }
+
+  inst.currentLang = lang;
+  applyTranslations(inst.wrapper, translations);
+  applyCtaTexts(inst.wrapper, inst.theme, lang);
+
+  // Translations reset texts that depend on state; restore them
+  applyCountryDisplay(inst, getCountryConfig(inst));
+  updateUnitLabels(inst, inst.wrapper);
+  ['diesel', 'heating'].forEach(type => updateAdvancedToggle(inst, type));
+  updateFleetToggle(inst);
+  updateEstimateToggle(inst);
+  updateProjectionToggle(inst);
+  updateSensitivityToggle(inst);
+  updateScenariosToggle(inst);
+  renderLead(inst);
+
+  calculate(inst);
+}
+
+/**
+ * Replace the theme, e.g. to follow the dark mode switch of the host page
+ * @param {Object} inst - Calculator instance
+ * @param {Object|string} theme - Theme object or mode (see theme.js); fonts are not loaded
  */
-function updateTecbluCostDisplay(config) {
-  const priceFormatted = config.currency === 'EUR'
-    ? `${config.tecCost.toFixed(4).replace('.', ',')} €`
-    : `CHF ${config.tecCost.toFixed(4)}`;
+export function setTheme(inst, theme) {
+  inst.theme = resolveTheme(theme, (key, expected) => {
+    console.warn(`TecBlu Calculator: Ignoring theme ${key} (expected ${expected})`);
+  });
+  applyTheme(inst.wrapper, inst.theme);
 
-  // Get the wrapper to find translations
-  const wrapper = document.querySelector('.tec-calc-wrapper');
-  const translations = wrapper?._tecTranslations;
+  // Restores the translated CTA texts the previous theme replaced
+  setLanguage(inst, inst.currentLang);
+}
 
-  // Update diesel/fuel TecBlu cost
-  const dieselCostEl = document.querySelector('[data-i18n="diesel.tecbluCost"]');
-  if (dieselCostEl) {
-    let template = translations?.diesel?.tecbluCost || 'TecBlu: {price} pro Liter';
-    dieselCostEl.textContent = template.replace('{price}', priceFormatted);
+/**
+ * Set the current country. Resets prices to the country defaults, since
+ * prices entered for another country are in another currency.
+ * @param {Object} inst - Calculator instance
+ * @param {string} country - Country code (CH, DE, AT, FR, IT)
+ */
+export function setCountry(inst, country) {
+  const code = String(country || '').toUpperCase();
+  if (!COUNTRY_CONFIG[code]) {
+    console.warn(`TecBlu Calculator: Unsupported country "${country}"`);
+    return;
   }
 
-  // Update heating TecBlu cost
-  const heatingCostEl = document.querySelector('[data-i18n="heating.tecbluCost"]');
-  if (heatingCostEl) {
-    let template = translations?.heating?.tecbluCost || 'TecBlu: {price} pro Liter';
-    heatingCostEl.textContent = template.replace('{price}', priceFormatted);
+  inst.currentCountry = code;
+  applyCountry(inst);
+  if (inst.estimating) applyEstimate(inst);
+
+  // Resetting keeps the new country's prices
+  const { dieselPrice, heatingPrice } = getInputs(inst);
+  Object.assign(inst.defaultInputs, { dieselPrice, heatingPrice });
+
+  calculate(inst);
+}
+
+/**
+ * Set the display units. Inputs keep their values, shown in the new units.
+ * @param {Object} inst - Calculator instance
+ * @param {string|Object} units - System name (metric, uk, us), units like "mi,mpg-uk,l,kg" or
+ *   { distance, consumption, volume, co2 } (see units.js)
+ */
+export function setUnits(inst, units) {
+  const resolved = resolveUnits(units);
+  if (!resolved) {
+    console.warn(`TecBlu Calculator: Unsupported units "${units}"`);
+    return;
   }
+
+  applyUnits(inst, resolved);
+  calculate(inst);
 }
 
 /**
- * Set the current language
- * @param {string} lang - Language code
+ * Switch the display units and show the current inputs in them
+ * @param {Object} inst - Calculator instance
+ * @param {Object} units - Resolved units { distance, consumption, volume, co2 }
+ */
+function applyUnits(inst, units) {
+  // Read everything in the old units first
+  const inputs = getInputs(inst);
+  const customConsumption = readUnitValue(inst, $(inst, 'tec-custom-consumption'));
+  const rows = Array.from($(inst, 'tec-fleet-groups').children).map(row => [row, readFleetRow(inst, row)]);
+
+  inst.units = units;
+  updateUnitLabels(inst, inst.wrapper);
+
+  showUnitValue(inst, $(inst, 'tec-km-input'), inputs.km);
+  $(inst, 'tec-km-slider').value = $(inst, 'tec-km-input').value;
+  showUnitValue(inst, $(inst, 'tec-custom-consumption'), clamp(customConsumption || 32, LIMITS.cons[0], LIMITS.cons[1]));
+  showUnitValue(inst, $(inst, 'tec-heating-input'), inputs.heatingLiters);
+  $(inst, 'tec-heating-slider').value = $(inst, 'tec-heating-input').value;
+  rows.forEach(([row, group]) => showFleetRow(inst, row, group));
+}
+
+/**
+ * Show the unit labels, consumption preset labels and input ranges of the
+ * display units
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} root - Element to update (the wrapper, or a new fleet row)
+ */
+function updateUnitLabels(inst, root) {
+  const translations = inst.wrapper._tecTranslations;
+
+  // Unit labels switch their translation key, so later translations keep the unit
+  root.querySelectorAll('[data-unit]').forEach(el => {
+    const spec = UNITS[el.dataset.unit][inst.units[el.dataset.unit]];
+    el.dataset.i18n = spec.i18n;
+    el.textContent = getNestedValue(translations, spec.i18n) || spec.symbol;
+  });
+
+  // Labels that name the distance unit ("km per vehicle")
+  root.querySelectorAll('[data-i18n-miles]').forEach(el => {
+    if (!el.dataset.i18nKm) el.dataset.i18nKm = el.dataset.i18n;
+    el.dataset.i18n = inst.units.distance === 'mi' ? el.dataset.i18nMiles : el.dataset.i18nKm;
+    const text = getNestedValue(translations, el.dataset.i18n);
+    if (text) el.textContent = text;
+  });
+
+  // Consumption presets, e.g. "Truck ({value})"
+  root.querySelectorAll('option[data-i18n^="diesel.consumptionOptions."]').forEach(option => {
+    const template = getNestedValue(translations, option.dataset.i18n);
+    if (template && option.value !== 'custom') {
+      option.textContent = template.replace('{value}', unitText(inst, 'consumption', Number(option.value), 0));
+    }
+  });
+
+  // Ranges of the inputs shown in display units
+  root.querySelectorAll('[data-unit-input]').forEach(el => {
+    const kind = el.dataset.unitInput;
+    const spec = UNITS[kind][inst.units[kind]];
+    const [min, max] = unitLimits(inst, kind);
+    Object.assign(el, { min, max });
+    if (el.type === 'range') el.step = spec.step;
+    else if (spec.decimals) el.step = Math.pow(10, -spec.decimals);
+  });
+}
+
+/**
+ * Show a metric value in an input (data-unit-input), in the display unit. The
+ * exact value is kept on the element, so reading the unchanged input gives it
+ * back without rounding errors.
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLInputElement} el - Input element
+ * @param {number} value - Metric value
+ */
+function showUnitValue(inst, el, value) {
+  const kind = el.dataset.unitInput;
+  const unit = inst.units[kind];
+  const spec = UNITS[kind][unit];
+  el.value = spec.factor === 1 ? value : Number(toDisplay(kind, unit, value).toFixed(spec.decimals || 0));
+  el._tecMetric = { value, shown: el.value };
+}
+
+/**
+ * Read an input (data-unit-input) shown in the display unit as a metric value
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLInputElement} el - Input element
+ * @returns {number} Metric value, NaN if the input is empty or not positive
+ */
+function readUnitValue(inst, el) {
+  if (el._tecMetric && el._tecMetric.shown === el.value) return el._tecMetric.value;
+  const kind = el.dataset.unitInput;
+  const v = parseFloat(el.value);
+  return v > 0 ? fromDisplay(kind, inst.units[kind], v) : NaN;
+}
+
+/**
+ * Get the limits of a quantity in the display unit
+ * @param {Object} inst - Calculator instance
+ * @param {string} kind - Quantity (distance, consumption, volume)
+ * @returns {number[]} [min, max]
+ */
+function unitLimits(inst, kind) {
+  return displayLimits(kind, inst.units[kind], UNIT_LIMITS[kind]);
+}
+
+/**
+ * Format a metric value in the display unit, with the unit label
+ * @param {Object} inst - Calculator instance
+ * @param {string} kind - Quantity (distance, consumption, volume, co2)
+ * @param {number} value - Metric value
+ * @param {number} decimals - Decimal places for the metric unit
+ * @returns {string} e.g. "1’234 L", "326 gal US"
+ */
+function unitText(inst, kind, value, decimals) {
+  const unit = inst.units[kind];
+  const spec = UNITS[kind][unit];
+  const label = getNestedValue(inst.wrapper._tecTranslations, spec.i18n) || spec.symbol;
+  return inst.fmt.number(toDisplay(kind, unit, value), spec.decimals !== undefined ? spec.decimals : decimals) + ' ' + label;
+}
+
+/**
+ * Set calculator inputs programmatically. Only the given keys are changed;
+ * numbers are clamped to LIMITS.
+ * @param {Object} inst - Calculator instance
+ * @param {Object} inputs - Inputs to set
+ * @param {string} [inputs.tab] - 'diesel' or 'heating'
+ * @param {number} [inputs.vehicles] - Number of vehicles
+ * @param {number} [inputs.km] - Km per vehicle and year
+ * @param {number|string} [inputs.consumption] - L/100km or preset (truck, van, transporter, car)
+ * @param {number} [inputs.dieselPrice] - Fuel price per liter
+ * @param {number} [inputs.dieselSavings] - Expected fuel savings in percent
+ * @param {string} [inputs.building] - Building preset (single, multi, commercial)
+ * @param {number} [inputs.heatingLiters] - Annual heating oil consumption in liters
+ * @param {number} [inputs.heatingPrice] - Heating oil price per liter
+ * @param {number} [inputs.heatingSavings] - Expected heating oil savings in percent
+ * @param {Object[]|null} [inputs.groups] - Mixed fleet [{ vehicles, km, consumption }]; null or [] for a single group
+ * @param {number} [inputs.years] - Years of the projection
+ * @param {number} [inputs.priceEscalation] - Annual fuel price change in percent for the projection
+ * @param {number} [inputs.discountRate] - Discount rate in percent for the projection's present value
+ * @param {string} [inputs.fuel] - Fuel of the fuel tab (diesel, petrol, biodiesel, hvo)
+ * @param {string} [inputs.co2Basis] - CO₂ basis, 'ttw' (tank-to-wheel) or 'wtw' (well-to-wheel)
+ */
+export function setInputs(inst, inputs = {}) {
+  const num = key => {
+    if (inputs[key] === undefined || inputs[key] === null) return null;
+    const v = Number(inputs[key]);
+    if (!Number.isFinite(v)) {
+      console.warn(`TecBlu Calculator: Ignoring invalid value for "${key}": ${inputs[key]}`);
+      return null;
+    }
+    return v;
+  };
+
+  const vehiclesVal = num('vehicles');
+  if (vehiclesVal !== null) {
+    showVehicles(inst, clamp(Math.round(vehiclesVal), LIMITS.vehicles[0], LIMITS.vehicles[1]));
+  }
+
+  const kmVal = num('km');
+  if (kmVal !== null) {
+    showUnitValue(inst, $(inst, 'tec-km-input'), clamp(Math.round(kmVal), LIMITS.km[0], LIMITS.km[1]));
+    $(inst, 'tec-km-slider').value = $(inst, 'tec-km-input').value;
+  }
+
+  if (inputs.consumption !== undefined && inputs.consumption !== null) {
+    const preset = CONSUMPTION_PRESETS[inputs.consumption];
+    const v = preset !== undefined ? preset : num('consumption');
+    if (v !== null) showConsumption(inst, clamp(v, LIMITS.cons[0], LIMITS.cons[1]));
+  }
+
+  if (inputs.groups !== undefined) {
+    if (inputs.groups === null || (Array.isArray(inputs.groups) && !inputs.groups.length)) {
+      setFleetMode(inst, false);
+    } else if (Array.isArray(inputs.groups)) {
+      if (inputs.groups.length > MAX_FLEET_GROUPS) {
+        console.warn(`TecBlu Calculator: Only the first ${MAX_FLEET_GROUPS} vehicle groups are used`);
+      }
+      $(inst, 'tec-fleet-groups').innerHTML = '';
+      inputs.groups.slice(0, MAX_FLEET_GROUPS).forEach(group => addFleetGroup(inst, group));
+      setFleetMode(inst, true);
+    } else {
+      console.warn(`TecBlu Calculator: Ignoring invalid value for "groups": ${inputs.groups}`);
+    }
+  }
+
+  if (inputs.fuel !== undefined) {
+    if (FUELS.includes(inputs.fuel)) {
+      $(inst, 'tec-fuel').value = inputs.fuel;
+    } else {
+      console.warn(`TecBlu Calculator: Ignoring invalid value for "fuel": ${inputs.fuel}`);
+    }
+  }
+
+  if (inputs.co2Basis !== undefined) {
+    if (CO2_BASES.includes(inputs.co2Basis)) {
+      showCo2Basis(inst, inputs.co2Basis);
+    } else {
+      console.warn(`TecBlu Calculator: Ignoring invalid value for "co2Basis": ${inputs.co2Basis}`);
+    }
+  }
+
+  if (inputs.building !== undefined) {
+    if (BUILDING_PRESETS[inputs.building] !== undefined) {
+      applyBuilding(inst, inputs.building);
+    } else {
+      console.warn(`TecBlu Calculator: Ignoring invalid value for "building": ${inputs.building}`);
+    }
+  }
+
+  const heatingVal = num('heatingLiters');
+  if (heatingVal !== null) {
+    showUnitValue(inst, $(inst, 'tec-heating-input'), clamp(Math.round(heatingVal), LIMITS.heating[0], LIMITS.heating[1]));
+    $(inst, 'tec-heating-slider').value = $(inst, 'tec-heating-input').value;
+  }
+
+  [['dieselPrice', 'tec-diesel-price'], ['heatingPrice', 'tec-heating-price']].forEach(([key, id]) => {
+    const v = num(key);
+    const [min, max] = priceLimits(getCountryConfig(inst));
+    if (v !== null) $(inst, id).value = clamp(v, min, max).toFixed(2);
+  });
+
+  [['dieselSavings', 'tec-savings'], ['heatingSavings', 'tec-heating-savings']].forEach(([key, id]) => {
+    const v = num(key);
+    if (v === null) return;
+    const slider = $(inst, id + '-slider');
+    slider.value = clamp(Math.round(v), LIMITS.savings[0], LIMITS.savings[1]);
+    $(inst, id + '-display').textContent = slider.value;
+  });
+
+  const yearsVal = num('years');
+  if (yearsVal !== null) $(inst, 'tec-projection-years').value = clamp(Math.round(yearsVal), LIMITS.years[0], LIMITS.years[1]);
+
+  [['priceEscalation', 'tec-projection-escalation', LIMITS.escalation], ['discountRate', 'tec-projection-discount', LIMITS.discount]].forEach(([key, id, [min, max]]) => {
+    const v = num(key);
+    if (v !== null) $(inst, id).value = clamp(v, min, max);
+  });
+
+  if (inputs.tab !== undefined && inputs.tab !== inst.currentTab) {
+    if (inputs.tab === 'diesel' || inputs.tab === 'heating') {
+      switchTab(inst, inputs.tab);
+      return;
+    }
+    console.warn(`TecBlu Calculator: Ignoring invalid value for "tab": ${inputs.tab}`);
+  }
+
+  calculate(inst);
+}
+
+/**
+ * Read the current inputs of both tabs, clamped to LIMITS
+ * @param {Object} inst - Calculator instance
+ * @returns {Object} Inputs in the shape accepted by setInputs
+ */
+export function getInputs(inst) {
+  const config = getCountryConfig(inst);
+  const consType = $(inst, 'tec-consumption').value;
+
+  let cons = consType === 'custom'
+    ? (readUnitValue(inst, $(inst, 'tec-custom-consumption')) || 32)
+    : parseFloat(consType);
+
+  const activeBuilding = inst.wrapper.querySelector('.tec-building-btn.active');
+
+  return {
+    tab: inst.currentTab,
+    vehicles: inst.vehicles,
+    km: clamp(readUnitValue(inst, $(inst, 'tec-km-input')) || 80000, LIMITS.km[0], LIMITS.km[1]),
+    consumption: clamp(cons, LIMITS.cons[0], LIMITS.cons[1]),
+    dieselPrice: clamp(parseFloat($(inst, 'tec-diesel-price').value) || config.dieselPrice, ...priceLimits(config)),
+    dieselSavings: clamp(parseFloat($(inst, 'tec-savings-slider').value) || 7, LIMITS.savings[0], LIMITS.savings[1]),
+    building: activeBuilding ? activeBuilding.dataset.type : null,
+    heatingLiters: clamp(readUnitValue(inst, $(inst, 'tec-heating-input')) || 8000, LIMITS.heating[0], LIMITS.heating[1]),
+    heatingPrice: clamp(parseFloat($(inst, 'tec-heating-price').value) || config.heatingPrice, ...priceLimits(config)),
+    heatingSavings: clamp(parseFloat($(inst, 'tec-heating-savings-slider').value) || 7, LIMITS.savings[0], LIMITS.savings[1]),
+    groups: inst.fleetMode ? getFleetGroups(inst) : null,
+    years: clamp(parseInt($(inst, 'tec-projection-years').value) || 5, LIMITS.years[0], LIMITS.years[1]),
+    priceEscalation: clamp(parseFloat($(inst, 'tec-projection-escalation').value) || 0, LIMITS.escalation[0], LIMITS.escalation[1]),
+    discountRate: clamp(parseFloat($(inst, 'tec-projection-discount').value) || 0, LIMITS.discount[0], LIMITS.discount[1]),
+    fuel: $(inst, 'tec-fuel').value,
+    co2Basis: inst.wrapper.querySelector('.tec-co2-basis').value
+  };
+}
+
+/**
+ * Get the results of the last calculation (for the active tab)
+ * @param {Object} inst - Calculator instance
+ * @returns {Object|null} Result values
+ */
+export function getResults(inst) {
+  return inst.results ? { ...inst.results, inputs: { ...inst.results.inputs } } : null;
+}
+
+/**
+ * Detach the calculator from its wrapper
+ * @param {Object} inst - Calculator instance
  */
-export function setLanguage(lang) {
-  currentLang = lang;
-  calculate();
+export function destroyCalculator(inst) {
+  clearTimeout(inst.inputTimer);
+  clearTimeout(inst.announceTimer);
+  Object.values(inst.copyTimers).forEach(clearTimeout);
+  Object.keys(DELEGATED_EVENTS).forEach(type => inst.wrapper.removeEventListener(type, inst.listener));
+  inst.wrapper.remove();
+  inst.els = {};
+  inst.results = null;
 }
 
 /**
  * Switch between diesel and heating tabs
  */
-function switchTab(tab) {
-  currentTab = tab;
-  $$('.tec-tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
-  $('tec-diesel-calc').classList.toggle('tec-hidden', tab !== 'diesel');
-  $('tec-heating-calc').classList.toggle('tec-hidden', tab !== 'heating');
-  $('tec-diesel-results').classList.toggle('tec-hidden', tab !== 'diesel');
-  $('tec-heating-results').classList.toggle('tec-hidden', tab !== 'heating');
-  $('tec-compare').classList.toggle('tec-hidden', tab !== 'diesel');
-  $('tec-compare-heating').classList.toggle('tec-hidden', tab !== 'heating');
-
-  const hint = $('tec-mobile-hint');
+function switchTab(inst, tab) {
+  inst.currentTab = tab;
+  $$(inst, '.tec-tab-btn').forEach(b => {
+    const selected = b.dataset.tab === tab;
+    b.classList.toggle('active', selected);
+    b.setAttribute('aria-selected', String(selected));
+    b.tabIndex = selected ? 0 : -1;
+  });
+  $(inst, 'tec-diesel-calc').classList.toggle('tec-hidden', tab !== 'diesel');
+  $(inst, 'tec-heating-calc').classList.toggle('tec-hidden', tab !== 'heating');
+  $(inst, 'tec-diesel-results').classList.toggle('tec-hidden', tab !== 'diesel');
+  $(inst, 'tec-heating-results').classList.toggle('tec-hidden', tab !== 'heating');
+  $(inst, 'tec-compare').classList.toggle('tec-hidden', tab !== 'diesel');
+  $(inst, 'tec-compare-heating').classList.toggle('tec-hidden', tab !== 'heating');
+
+  const hint = $(inst, 'tec-mobile-hint');
   if (hint) hint.classList.toggle('tec-hidden', tab !== 'diesel');
 
-  const fuelTypeLabel = $('tec-fuel-type-diesel');
-  const heatingTypeLabel = $('tec-fuel-type-heating');
+  const fuelTypeLabel = $(inst, 'tec-fuel-type-diesel');
+  const heatingTypeLabel = $(inst, 'tec-fuel-type-heating');
   if (fuelTypeLabel) fuelTypeLabel.classList.toggle('tec-hidden', tab !== 'diesel');
   if (heatingTypeLabel) heatingTypeLabel.classList.toggle('tec-hidden', tab !== 'heating');
 
-  calculate();
+  calculate(inst);
+}
+
+/**
+ * Move between the tabs with the arrow, Home and End keys; the focused tab
+ * is selected right away
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} tab - Tab that has the focus
+ * @param {KeyboardEvent} e - Key event
+ */
+function focusTab(inst, tab, e) {
+  const tabs = Array.from($$(inst, '.tec-tab-btn'));
+  const index = tabs.indexOf(tab);
+  const target = {
+    ArrowRight: tabs[(index + 1) % tabs.length],
+    ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+    Home: tabs[0],
+    End: tabs[tabs.length - 1]
+  }[e.key];
+  if (!target) return;
+
+  e.preventDefault();
+  target.focus();
+  ACTIONS['switch-tab'](inst, target);
+}
+
+/**
+ * Mark the selected buttons of a button group, for sight (.active) and for
+ * screen readers (aria-pressed)
+ * @param {NodeList} buttons - Buttons of the group
+ * @param {Function} isActive - Called with each button, returns whether it is selected
+ */
+function markActive(buttons, isActive) {
+  buttons.forEach(b => {
+    const active = !!isActive(b);
+    b.classList.toggle('active', active);
+    b.setAttribute('aria-pressed', String(active));
+  });
 }
 
 /**
  * Set number of vehicles
  */
-function setVehicles(n) {
-  vehicles = n;
-  $('tec-custom-vehicles').value = n;
-  $('tec-custom-vehicles').classList.add('tec-hidden');
-  $$('.tec-btn-opt').forEach(b => b.classList.toggle('active', b.dataset.val == n));
-  calculate();
+function setVehicles(inst, n) {
+  showVehicles(inst, n);
+  calculate(inst);
+}
+
+/**
+ * Show a vehicle count: preset button if there is one, custom input otherwise
+ */
+function showVehicles(inst, n) {
+  const isPreset = VEHICLE_PRESETS.includes(n);
+  inst.vehicles = n;
+  $(inst, 'tec-custom-vehicles').value = n;
+  $(inst, 'tec-custom-vehicles').classList.toggle('tec-hidden', isPreset);
+  markActive($$(inst, '.tec-btn-opt'), b => (isPreset ? b.dataset.val == n : b.dataset.val === 'custom'));
 }
 
 /**
  * Toggle custom vehicles input
  */
-function toggleCustomVehicles() {
-  $('tec-custom-vehicles').classList.remove('tec-hidden');
-  $('tec-custom-vehicles').focus();
-  $$('.tec-btn-opt').forEach(b => b.classList.toggle('active', b.dataset.val === 'custom'));
+function toggleCustomVehicles(inst) {
+  $(inst, 'tec-custom-vehicles').classList.remove('tec-hidden');
+  $(inst, 'tec-custom-vehicles').focus();
+  markActive($$(inst, '.tec-btn-opt'), b => b.dataset.val === 'custom');
 }
 
 /**
  * Calculate with custom vehicles (for live input)
  */
-function calcRawVehicles() {
-  vehicles = parseInt($('tec-custom-vehicles').value) || 1;
-  calculate();
+function calcRawVehicles(inst) {
+  inst.vehicles = parseInt($(inst, 'tec-custom-vehicles').value) || 1;
+  calculate(inst);
 }
 
 /**
  * Calculate without updating vehicles (for consumption input)
  */
-function calcRaw() {
-  calculate();
+function calcRaw(inst) {
+  calculate(inst);
 }
 
 /**
  * Clamp vehicles input on blur
  */
-function clampVehicles() {
-  vehicles = clamp(parseInt($('tec-custom-vehicles').value) || 1, LIMITS.vehicles[0], LIMITS.vehicles[1]);
-  $('tec-custom-vehicles').value = vehicles;
-  calculate();
+function clampVehicles(inst) {
+  inst.vehicles = clamp(parseInt($(inst, 'tec-custom-vehicles').value) || 1, LIMITS.vehicles[0], LIMITS.vehicles[1]);
+  $(inst, 'tec-custom-vehicles').value = inst.vehicles;
+  calculate(inst);
 }
 
 /**
  * Clamp consumption input on blur
  */
-function clampConsumption() {
-  const el = $('tec-custom-consumption');
-  el.value = clamp(parseFloat(el.value) || 1, LIMITS.cons[0], LIMITS.cons[1]);
-  calculate();
+function clampConsumption(inst) {
+  const el = $(inst, 'tec-custom-consumption');
+  const [min, max] = unitLimits(inst, 'consumption');
+  el.value = clamp(parseFloat(el.value) || min, min, max);
+  calculate(inst);
 }
 
 /**
  * Sync km slider and input
  */
-function syncKm(src) {
-  let v = clamp(
-    parseInt(src === 'slider' ? $('tec-km-slider').value : $('tec-km-input').value) || LIMITS.km[0],
-    LIMITS.km[0],
-    LIMITS.km[1]
-  );
-  $('tec-km-slider').value = v;
-  $('tec-km-input').value = v;
-  calculate();
+function syncKm(inst, src) {
+  const [min, max] = unitLimits(inst, 'distance');
+  let v = clamp(parseFloat(src === 'slider' ? $(inst, 'tec-km-slider').value : $(inst, 'tec-km-input').value) || min, min, max);
+  $(inst, 'tec-km-slider').value = v;
+  $(inst, 'tec-km-input').value = v;
+  calculate(inst);
 }
 
 /**
  * Sync km without clamping
  */
-function syncKmRaw() {
-  let v = parseInt($('tec-km-input').value) || 0;
-  $('tec-km-slider').value = clamp(v, LIMITS.km[0], LIMITS.km[1]);
-  calculate();
+function syncKmRaw(inst) {
+  let v = parseFloat($(inst, 'tec-km-input').value) || 0;
+  $(inst, 'tec-km-slider').value = clamp(v, ...unitLimits(inst, 'distance'));
+  calculate(inst);
 }
 
 /**
  * Clamp km on blur
  */
-function clampKm() {
-  let v = clamp(parseInt($('tec-km-input').value) || LIMITS.km[0], LIMITS.km[0], LIMITS.km[1]);
-  $('tec-km-input').value = v;
-  $('tec-km-slider').value = v;
-  calculate();
+function clampKm(inst) {
+  const [min, max] = unitLimits(inst, 'distance');
+  let v = clamp(parseFloat($(inst, 'tec-km-input').value) || min, min, max);
+  $(inst, 'tec-km-input').value = v;
+  $(inst, 'tec-km-slider').value = v;
+  calculate(inst);
 }
 
 /**
  * Adjust price with +/- buttons
  */
-function adjustPrice(type, delta) {
-  const el = $(type === 'diesel' ? 'tec-diesel-price' : 'tec-heating-price');
-  el.value = clamp(parseFloat(el.value) + delta, LIMITS.price[0], LIMITS.price[1]).toFixed(2);
-  calculate();
+function adjustPrice(inst, type, delta) {
+  const config = getCountryConfig(inst);
+  const el = $(inst, type === 'diesel' ? 'tec-diesel-price' : 'tec-heating-price');
+
+  // The buttons declare +/-0.05; markets with larger prices per liter have their own step
+  const step = Math.sign(delta) * (config.priceStep || Math.abs(delta));
+  el.value = clamp(parseFloat(el.value) + step, ...priceLimits(config)).toFixed(2);
+  calculate(inst);
+}
+
+/**
+ * Select a consumption preset, or switch to the custom input
+ */
+function showConsumption(inst, cons) {
+  const select = $(inst, 'tec-consumption');
+  const isPreset = Object.values(CONSUMPTION_PRESETS).includes(cons);
+  select.value = isPreset ? String(cons) : 'custom';
+  if (!isPreset) showUnitValue(inst, $(inst, 'tec-custom-consumption'), cons);
+  $(inst, 'tec-custom-consumption-wrap').classList.toggle('tec-hidden', isPreset);
 }
 
 /**
  * Handle consumption dropdown change
  */
-function handleConsumption() {
-  $('tec-custom-consumption-wrap').classList.toggle('tec-hidden', $('tec-consumption').value !== 'custom');
-  calculate();
+function handleConsumption(inst) {
+  $(inst, 'tec-custom-consumption-wrap').classList.toggle('tec-hidden', $(inst, 'tec-consumption').value !== 'custom');
+  calculate(inst);
 }
 
 /**
- * Toggle advanced settings panel
+ * Switch between a single vehicle group and a mixed fleet. The first time
+ * the mixed fleet is shown it starts with the single group's inputs.
+ * @param {Object} inst - Calculator instance
+ * @param {boolean} on - Show the mixed fleet
  */
-function toggleAdvanced(type) {
-  const panel = $('tec-advanced-' + type);
-  const toggle = panel.previousElementSibling;
-  panel.classList.toggle('show');
+function setFleetMode(inst, on) {
+  if (on && !$(inst, 'tec-fleet-groups').children.length) {
+    const inputs = getInputs(inst);
+    addFleetGroup(inst, { vehicles: inputs.vehicles, km: inputs.km, consumption: inputs.consumption });
+  }
 
-  // Get translations from container
-  const wrapper = document.querySelector('.tec-calc-wrapper');
-  const translations = wrapper._tecTranslations;
+  inst.fleetMode = on;
+  $(inst, 'tec-fleet-field').classList.toggle('tec-hidden', !on);
+  $$(inst, '.tec-single-fleet').forEach(el => el.classList.toggle('tec-hidden', on));
+  updateFleetToggle(inst);
+}
 
-  if (translations) {
-    const key = type === 'diesel' ? 'diesel' : 'heating';
-    if (panel.classList.contains('show')) {
-      toggle.textContent = translations[key].advancedToggleClose;
-    } else {
-      toggle.textContent = translations[key].advancedToggle;
-    }
-  } else {
-    // Fallback to German
-    toggle.textContent = panel.classList.contains('show') ? '− Weniger anzeigen' : '+ Erweiterte Einstellungen';
-  }
+/**
+ * Toggle the mixed fleet
+ */
+function toggleFleet(inst) {
+  setFleetMode(inst, !inst.fleetMode);
+  calculate(inst);
 }
 
 /**
- * Sync savings slider
+ * Update the mixed fleet toggle text
+ * @param {Object} inst - Calculator instance
  */
-function syncSavings() {
-  $('tec-savings-display').textContent = $('tec-savings-slider').value;
-  calculate();
+function updateFleetToggle(inst) {
+  const fleet = inst.wrapper._tecTranslations?.fleet;
+  $(inst, 'tec-fleet-toggle').setAttribute('aria-expanded', String(inst.fleetMode));
+  if (inst.fleetMode) {
+    $(inst, 'tec-fleet-toggle').textContent = fleet?.toggleClose || '− Einheitliche Flotte';
+  } else {
+    $(inst, 'tec-fleet-toggle').textContent = fleet?.toggle || '+ Gemischte Flotte erfassen';
+  }
 }
 
 /**
- * Set building type for heating
+ * Add a vehicle group row
+ * @param {Object} inst - Calculator instance
+ * @param {Object} [group] - { vehicles, km, consumption }, consumption as L/100km or preset name
  */
-function setBuilding(type) {
-  $$('.tec-building-btn').forEach(b => b.classList.toggle('active', b.dataset.type === type));
-  $('tec-heating-slider').value = BUILDING_PRESETS[type];
-  $('tec-heating-input').value = BUILDING_PRESETS[type];
-  calculate();
+function addFleetGroup(inst, group = { vehicles: 1, km: 80000, consumption: CONSUMPTION_PRESETS.van }) {
+  const list = $(inst, 'tec-fleet-groups');
+  if (list.children.length >= MAX_FLEET_GROUPS) return;
+
+  const row = $(inst, 'tec-fleet-row').content.firstElementChild.cloneNode(true);
+  const translations = inst.wrapper._tecTranslations;
+  if (translations) applyTranslations(row, translations);
+  updateUnitLabels(inst, row);
+  list.appendChild(row);
+
+  const preset = CONSUMPTION_PRESETS[group.consumption];
+  const cons = clamp(preset !== undefined ? preset : Number(group.consumption) || 32, LIMITS.cons[0], LIMITS.cons[1]);
+  const isPreset = Object.values(CONSUMPTION_PRESETS).includes(cons);
+  row.querySelector('[data-field="consumption"]').value = isPreset ? String(cons) : 'custom';
+  row.querySelector('[data-field="customConsumption"]').classList.toggle('tec-hidden', isPreset);
+  showFleetRow(inst, row, {
+    vehicles: clamp(Math.round(Number(group.vehicles) || 1), LIMITS.vehicles[0], LIMITS.vehicles[1]),
+    km: clamp(Math.round(Number(group.km) || 80000), LIMITS.km[0], LIMITS.km[1]),
+    consumption: cons
+  });
+
+  updateFleetButtons(inst);
 }
 
 /**
- * Sync heating slider
+ * Remove a vehicle group row; the last row stays
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} row - The .tec-fleet-row element
  */
-function syncHeating(src) {
-  let v = clamp(
-    parseInt(src === 'slider' ? $('tec-heating-slider').value : $('tec-heating-input').value) || LIMITS.heating[0],
-    LIMITS.heating[0],
-    LIMITS.heating[1]
-  );
-  $('tec-heating-slider').value = v;
-  $('tec-heating-input').value = v;
-  calculate();
+function removeFleetGroup(inst, row) {
+  if ($(inst, 'tec-fleet-groups').children.length <= 1) return;
+  row.remove();
+  updateFleetButtons(inst);
+  calculate(inst);
 }
 
 /**
- * Sync heating without clamping
+ * Show the add button only below MAX_FLEET_GROUPS and the remove buttons only
+ * with more than one row
+ * @param {Object} inst - Calculator instance
  */
-function syncHeatingRaw() {
-  let v = parseInt($('tec-heating-input').value) || 0;
-  $('tec-heating-slider').value = clamp(v, LIMITS.heating[0], LIMITS.heating[1]);
-  calculate();
+function updateFleetButtons(inst) {
+  const count = $(inst, 'tec-fleet-groups').children.length;
+  $(inst, 'tec-fleet-add').classList.toggle('tec-hidden', count >= MAX_FLEET_GROUPS);
+  $$(inst, '.tec-fleet-remove').forEach(btn => btn.classList.toggle('tec-hidden', count <= 1));
 }
 
 /**
- * Clamp heating on blur
+ * Show the custom consumption input of a row when "custom" is selected
  */
-function clampHeating() {
-  let v = clamp(parseInt($('tec-heating-input').value) || LIMITS.heating[0], LIMITS.heating[0], LIMITS.heating[1]);
-  $('tec-heating-input').value = v;
-  $('tec-heating-slider').value = v;
-  calculate();
+function handleFleetConsumption(inst, row) {
+  const custom = row.querySelector('[data-field="consumption"]').value === 'custom';
+  row.querySelector('[data-field="customConsumption"]').classList.toggle('tec-hidden', !custom);
+  calculate(inst);
 }
 
 /**
- * Sync heating savings slider
+ * Clamp the inputs of a vehicle group row to LIMITS
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} row - The .tec-fleet-row element
  */
-function syncHeatingSavings() {
-  $('tec-heating-savings-display').textContent = $('tec-heating-savings-slider').value;
-  calculate();
+function clampFleetRow(inst, row) {
+  showFleetRow(inst, row, readFleetRow(inst, row));
+  calculate(inst);
 }
 
 /**
- * Main calculation dispatcher
+ * Show a vehicle group in a row; km and consumption in the display units
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} row - The .tec-fleet-row element
+ * @param {Object} group - { vehicles, km, consumption }, clamped to LIMITS
  */
-function calculate() {
-  if (currentTab === 'diesel') {
-    calculateDiesel();
-  } else {
-    calculateHeating();
-  }
+function showFleetRow(inst, row, group) {
+  row.querySelector('[data-field="vehicles"]').value = group.vehicles;
+  showUnitValue(inst, row.querySelector('[data-field="km"]'), group.km);
+  showUnitValue(inst, row.querySelector('[data-field="customConsumption"]'), group.consumption);
 }
 
 /**
- * Calculate diesel/fuel savings
+ * Read a vehicle group row, clamped to LIMITS
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} row - The .tec-fleet-row element
+ * @returns {Object} { vehicles, km, consumption }
  */
-function calculateDiesel() {
-  const config = COUNTRY_CONFIG[currentCountry] || COUNTRY_CONFIG.CH;
-  const km = clamp(parseFloat($('tec-km-input').value) || 80000, LIMITS.km[0], LIMITS.km[1]);
-  const price = clamp(parseFloat($('tec-diesel-price').value) || config.dieselPrice, LIMITS.price[0], LIMITS.price[1]);
-  const consType = $('tec-consumption').value;
+function readFleetRow(inst, row) {
+  const field = name => row.querySelector(`[data-field="${name}"]`);
+  const consType = field('consumption').value;
+  const cons = consType === 'custom' ? (readUnitValue(inst, field('customConsumption')) || 32) : parseFloat(consType);
 
-  let cons = consType === 'custom'
-    ? (parseFloat($('tec-custom-consumption').value) || 32)
-    : parseFloat(consType);
-  cons = clamp(cons, LIMITS.cons[0], LIMITS.cons[1]);
-
-  const savePct = clamp(parseFloat($('tec-savings-slider').value) || 7, LIMITS.savings[0], LIMITS.savings[1]);
-
-  // Calculations
-  const litersPerVehicle = (km / 100) * cons;
-  const totalLiters = litersPerVehicle * vehicles;
-  const litersSaved = totalLiters * (savePct / 100);
-  const gross = litersSaved * price;
-  const tecCost = totalLiters * currentTecCost;
-  const net = Math.max(0, gross - tecCost);
-  const co2 = litersSaved * (CO2_LITER / 1000);
-  const perVehicle = Math.max(0, net / vehicles);
-  const costWithout = totalLiters * price;
-  const costWith = costWithout - net;
+  return {
+    vehicles: clamp(Math.round(parseFloat(field('vehicles').value)) || 1, LIMITS.vehicles[0], LIMITS.vehicles[1]),
+    km: clamp(readUnitValue(inst, field('km')) || 80000, LIMITS.km[0], LIMITS.km[1]),
+    consumption: clamp(cons, LIMITS.cons[0], LIMITS.cons[1])
+  };
+}
+
+/**
+ * Read all vehicle group rows
+ * @param {Object} inst - Calculator instance
+ * @returns {Object[]} Groups of { vehicles, km, consumption }
+ */
+function getFleetGroups(inst) {
+  return Array.from($(inst, 'tec-fleet-groups').children).map(row => readFleetRow(inst, row));
+}
+
+/**
+ * Toggle advanced settings panel
+ */
+function toggleAdvanced(inst, type) {
+  $(inst, 'tec-advanced-' + type).classList.toggle('show');
+  updateAdvancedToggle(inst, type);
+}
+
+/**
+ * Update the advanced settings toggle text to match the panel state
+ */
+function updateAdvancedToggle(inst, type) {
+  const panel = $(inst, 'tec-advanced-' + type);
+  const toggle = panel.previousElementSibling;
+  toggle.setAttribute('aria-expanded', String(panel.classList.contains('show')));
+
+  // Get translations from container
+  const translations = inst.wrapper._tecTranslations;
+
+  if (translations) {
+    const key = type === 'diesel' ? 'diesel' : 'heating';
+    if (panel.classList.contains('show')) {
+      toggle.textContent = translations[key].advancedToggleClose;
+    } else {
+      toggle.textContent = translations[key].advancedToggle;
+    }
+  } else {
+    // Fallback to German
+    toggle.textContent = panel.classList.contains('show') ? '− Weniger anzeigen' : '+ Erweiterte Einstellungen';
+  }
+}
+
+/**
+ * Select the CO₂ basis in the advanced settings of both tabs
+ * @param {Object} inst - Calculator instance
+ * @param {string} basis - 'ttw' or 'wtw'
+ */
+function showCo2Basis(inst, basis) {
+  $$(inst, '.tec-co2-basis').forEach(select => {
+    select.value = basis;
+  });
+}
+
+/**
+ * Sync savings slider
+ */
+function syncSavings(inst) {
+  $(inst, 'tec-savings-display').textContent = $(inst, 'tec-savings-slider').value;
+  calculate(inst);
+}
+
+/**
+ * Set building type for heating
+ */
+function setBuilding(inst, type) {
+  applyBuilding(inst, type);
+  calculate(inst);
+}
+
+/**
+ * Mark a building type as active and apply its consumption preset
+ */
+function applyBuilding(inst, type) {
+  markActive($$(inst, '.tec-building-btn'), b => b.dataset.type === type);
+  showUnitValue(inst, $(inst, 'tec-heating-input'), BUILDING_PRESETS[type]);
+  $(inst, 'tec-heating-slider').value = $(inst, 'tec-heating-input').value;
+}
+
+/**
+ * Sync heating slider
+ */
+function syncHeating(inst, src) {
+  const [min, max] = unitLimits(inst, 'volume');
+  let v = clamp(parseFloat(src === 'slider' ? $(inst, 'tec-heating-slider').value : $(inst, 'tec-heating-input').value) || min, min, max);
+  $(inst, 'tec-heating-slider').value = v;
+  $(inst, 'tec-heating-input').value = v;
+  calculate(inst);
+}
+
+/**
+ * Sync heating without clamping
+ */
+function syncHeatingRaw(inst) {
+  let v = parseFloat($(inst, 'tec-heating-input').value) || 0;
+  $(inst, 'tec-heating-slider').value = clamp(v, ...unitLimits(inst, 'volume'));
+  calculate(inst);
+}
+
+/**
+ * Clamp heating on blur
+ */
+function clampHeating(inst) {
+  const [min, max] = unitLimits(inst, 'volume');
+  let v = clamp(parseFloat($(inst, 'tec-heating-input').value) || min, min, max);
+  $(inst, 'tec-heating-input').value = v;
+  $(inst, 'tec-heating-slider').value = v;
+  calculate(inst);
+}
+
+/**
+ * Sync heating savings slider
+ */
+function syncHeatingSavings(inst) {
+  $(inst, 'tec-heating-savings-display').textContent = $(inst, 'tec-heating-savings-slider').value;
+  calculate(inst);
+}
+
+/**
+ * Show or hide the consumption estimate. Opening it applies the estimate.
+ * @param {Object} inst - Calculator instance
+ */
+function toggleEstimate(inst) {
+  inst.estimating = !inst.estimating;
+  $(inst, 'tec-estimate-panel').classList.toggle('tec-hidden', !inst.estimating);
+  updateEstimateToggle(inst);
+  if (inst.estimating) applyEstimate(inst);
+  calculate(inst);
+}
+
+/**
+ * Update the consumption estimate toggle text
+ * @param {Object} inst - Calculator instance
+ */
+function updateEstimateToggle(inst) {
+  const estimate = inst.wrapper._tecTranslations?.estimate;
+  $(inst, 'tec-estimate-toggle').setAttribute('aria-expanded', String(inst.estimating));
+  if (inst.estimating) {
+    $(inst, 'tec-estimate-toggle').textContent = estimate?.toggleClose || '− Schätzung schliessen';
+  } else {
+    $(inst, 'tec-estimate-toggle').textContent = estimate?.toggle || '+ Verbrauch schätzen';
+  }
+}
+
+/**
+ * Fill the construction years, energy classes and climate regions of the
+ * estimate from the market's heating tables, keeping the selection where the
+ * market has it. Markets without tables do not offer the estimate.
+ * @param {Object} inst - Calculator instance
+ * @param {Object} config - Country configuration
+ */
+function renderEstimateOptions(inst, config) {
+  const tables = config.heating;
+  $(inst, 'tec-estimate-toggle').classList.toggle('tec-hidden', !tables);
+  if (!tables) {
+    inst.estimating = false;
+    $(inst, 'tec-estimate-panel').classList.add('tec-hidden');
+    updateEstimateToggle(inst);
+    return;
+  }
+
+  const t = (key, fallback) => getNestedValue(inst.wrapper._tecTranslations, key) || fallback;
+  const option = (value, text) => Object.assign(document.createElement('option'), { value, textContent: text });
+  const group = (label, options) => {
+    const el = document.createElement('optgroup');
+    el.label = label;
+    el.append(...options);
+    return el;
+  };
+
+  // Bands are named by their years: "before 1950", "1950–1979", "from 2010"
+  const ages = tables.ages.map((age, i) => {
+    const from = i > 0 ? tables.ages[i - 1].until + 1 : null;
+    if (from === null) return option(`year:${age.until}`, t('estimate.before', 'vor {year}').replace('{year}', age.until + 1));
+    if (age.until === undefined) return option(`year:${from}`, t('estimate.since', 'ab {year}').replace('{year}', from));
+    return option(`year:${age.until}`, `${from}–${age.until}`);
+  });
+  const ratings = Object.keys(tables.ratings).map(rating => option(`rating:${rating}`, rating));
+  const regions = Object.entries(tables.regions).map(([region, hdd]) =>
+    option(region, `${t(`estimate.regions.${region}`, region)} (${inst.fmt.number(hdd)} ${t('estimate.hdd', 'Heizgradtage')})`));
+
+  const building = $(inst, 'tec-estimate-building');
+  const region = $(inst, 'tec-estimate-region');
+  const selected = [building.value, region.value];
+  building.textContent = '';
+  building.append(group(t('estimate.ages', 'Baujahr'), ages), group(t('estimate.ratings', 'Energieklasse (Ausweis)'), ratings));
+  region.textContent = '';
+  region.append(...regions);
+
+  building.value = selected[0];
+  if (!building.value) building.value = ages[Math.min(1, ages.length - 1)].value;
+  region.value = tables.regions[selected[1]] !== undefined ? selected[1] : 'average';
+  if (!region.value) region.selectedIndex = 0;
+}
+
+/**
+ * Estimate the consumption from the estimate panel and use it as the
+ * annual heating oil consumption
+ * @param {Object} inst - Calculator instance
+ */
+function applyEstimate(inst) {
+  const area = parseFloat($(inst, 'tec-estimate-area').value);
+  // Wait for a number while the visitor is typing
+  if (!(area > 0)) return;
+
+  const [kind, value] = $(inst, 'tec-estimate-building').value.split(':');
+  const liters = estimateHeatingLiters({
+    area,
+    [kind]: kind === 'year' ? Number(value) : value,
+    region: $(inst, 'tec-estimate-region').value
+  }, getCountryConfig(inst));
+
+  // The estimate replaces the building preset
+  markActive($$(inst, '.tec-building-btn'), () => false);
+  showUnitValue(inst, $(inst, 'tec-heating-input'), liters);
+  $(inst, 'tec-heating-slider').value = $(inst, 'tec-heating-input').value;
+  inst.estimatedLiters = liters;
+}
+
+/**
+ * Clamp the heated floor area on blur
+ * @param {Object} inst - Calculator instance
+ */
+function clampEstimate(inst) {
+  const el = $(inst, 'tec-estimate-area');
+  el.value = clamp(parseFloat(el.value) || LIMITS.area[0], ...LIMITS.area);
+  applyEstimate(inst);
+  calculate(inst);
+}
+
+/**
+ * Show the estimated consumption below the estimate panel
+ * @param {Object} inst - Calculator instance
+ */
+function updateEstimateResult(inst) {
+  const text = getNestedValue(inst.wrapper._tecTranslations, 'estimate.result') ||
+    'Geschätzter Verbrauch: {liters} pro Jahr. Ein Richtwert; Ihre Heizölrechnungen sind genauer.';
+  $(inst, 'tec-estimate-result').textContent = inst.estimatedLiters === null
+    ? ''
+    : text.replace('{liters}', unitText(inst, 'volume', inst.estimatedLiters, 0));
+}
+
+/**
+ * Copy a link to the current calculator state to the clipboard
+ */
+function copyShareLink(inst, button) {
+  const url = buildShareUrl(getInputs(inst), inst.currentCountry, inst.stateKey);
+  copyWithFeedback(inst, button, url, ['actions.copyLink', 'Link kopieren'], ['actions.copied', 'Link kopiert']);
+}
+
+/**
+ * Copy a plain-text summary of the results to the clipboard
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} button - The copy button
+ */
+function copySummary(inst, button) {
+  const summary = exportResults(inst, 'text');
+  if (summary === null) return;
+  copyWithFeedback(inst, button, summary, ['actions.copySummary', 'Zusammenfassung kopieren'], ['actions.summaryCopied', 'Zusammenfassung kopiert']);
+}
+
+/**
+ * Copy text and confirm it on the button's label for two seconds. If the
+ * browser blocks the clipboard, the text is shown for copying by hand.
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLElement} button - The button
+ * @param {string} text - Text to copy
+ * @param {string[]} labelKey - [i18n key, German fallback] of the button label
+ * @param {string[]} doneKey - [i18n key, German fallback] of the confirmation
+ */
+function copyWithFeedback(inst, button, text, labelKey, doneKey) {
+  const label = button.querySelector(`[data-i18n="${labelKey[0]}"]`);
+  const t = ([key, fallback]) => getNestedValue(inst.wrapper._tecTranslations, key) || fallback;
+
+  copyText(text).then(ok => {
+    if (!ok) {
+      // Let the user copy it by hand
+      window.prompt(t(labelKey), text);
+      return;
+    }
+
+    label.textContent = t(doneKey);
+    clearTimeout(inst.copyTimers[labelKey[0]]);
+    inst.copyTimers[labelKey[0]] = setTimeout(() => {
+      label.textContent = t(labelKey);
+    }, 2000);
+  });
+}
+
+/**
+ * Show the quote request form in place of the quote button
+ * @param {Object} inst - Calculator instance
+ */
+function openLeadForm(inst) {
+  const form = $(inst, 'tec-lead-form');
+  const fleetSize = form.elements.fleetSize;
+
+  // Fleet size only matters for the fuel tab; start with the calculated one
+  $(inst, 'tec-lead-fleet').classList.toggle('tec-hidden', inst.currentTab !== 'diesel');
+  if (!fleetSize.value && inst.results && inst.results.type === 'diesel') fleetSize.value = inst.results.inputs.vehicles;
+
+  $(inst, 'tec-cta-link').classList.add('tec-hidden');
+  form.classList.remove('tec-hidden');
+  if (inst.leadState !== 'success') form.elements.name.focus();
+}
+
+/**
+ * Hide the quote request form and show the quote button again
+ * @param {Object} inst - Calculator instance
+ */
+function closeLeadForm(inst) {
+  $(inst, 'tec-lead-form').classList.add('tec-hidden');
+  $(inst, 'tec-cta-link').classList.remove('tec-hidden');
+}
+
+/**
+ * Validate the quote request form and post it with the current results.
+ * Failed requests can be sent again with the same button.
+ * @param {Object} inst - Calculator instance
+ */
+function sendLead(inst) {
+  const form = $(inst, 'tec-lead-form');
+  if (inst.leadState === 'sending' || inst.leadState === 'success' || !inst.results) return;
+
+  const values = { consent: form.elements.consent.checked };
+  Object.keys(LEAD_FIELDS).forEach(field => {
+    values[field] = form.elements[field].value;
+  });
+  if (inst.currentTab !== 'diesel') delete values.fleetSize;
+
+  const { lead, errors } = validateLead(values);
+  inst.leadErrors = errors;
+  if (Object.keys(errors).length) {
+    renderLead(inst);
+    form.elements[Object.keys(errors)[0]].focus();
+    return;
+  }
+
+  const payload = buildLeadPayload(lead, buildExport(inst.results, { country: inst.currentCountry }), {
+    lang: inst.currentLang,
+    country: inst.currentCountry,
+    page: window.location.href
+  });
+  const type = inst.results.type;
+  const savings = Math.round(inst.results.net);
+
+  inst.leadState = 'sending';
+  renderLead(inst);
+  submitLead(inst.leadUrl, payload).then(() => {
+    inst.leadState = 'success';
+    renderLead(inst);
+    // No personal data in the event, it may go to analytics
+    dispatchWidgetEvent(inst.host, 'lead', { type, savings });
+  }, err => {
+    console.warn(`TecBlu Calculator: Could not send quote request to ${inst.leadUrl} (${err.message})`);
+    inst.leadState = 'error';
+    renderLead(inst);
+  });
+}
+
+/**
+ * Show the state of the quote request form: field errors, the status message
+ * and the submit button (send, sending, send again)
+ * @param {Object} inst - Calculator instance
+ */
+function renderLead(inst) {
+  const form = $(inst, 'tec-lead-form');
+  if (!form) return; // Destroyed while sending
+
+  const translations = inst.wrapper._tecTranslations;
+  const t = (key, fallback) => getNestedValue(translations, key) || fallback;
+  const fallbacks = {
+    required: 'Bitte ausfüllen',
+    email: 'Bitte eine gültige E-Mail-Adresse eingeben',
+    phone: 'Bitte eine gültige Telefonnummer eingeben',
+    fleetSize: 'Bitte eine ganze Zahl ab 1 eingeben',
+    consent: 'Bitte bestätigen Sie die Einwilligung'
+  };
+
+  form.querySelectorAll('[data-error-for]').forEach(el => {
+    const field = el.dataset.errorFor;
+    const error = inst.leadErrors[field];
+    el.textContent = error ? t(`lead.errors.${error}`, fallbacks[error]) : '';
+    form.elements[field].setAttribute('aria-invalid', error ? 'true' : 'false');
+  });
+
+  const state = inst.leadState;
+  form.dataset.state = state;
+  $(inst, 'tec-lead-fields').disabled = state === 'sending';
+  $(inst, 'tec-lead-submit').disabled = state === 'sending';
+  $(inst, 'tec-lead-submit').querySelector('[data-i18n]').textContent = state === 'error'
+    ? t('lead.retry', 'Erneut senden')
+    : t('lead.submit', 'Offerte anfordern');
+
+  const status = {
+    form: '',
+    sending: t('lead.sending', 'Wird gesendet …'),
+    success: t('lead.success', 'Vielen Dank! Wir melden uns in Kürze bei Ihnen.'),
+    error: t('lead.error', 'Ihre Anfrage konnte nicht gesendet werden. Bitte versuchen Sie es erneut.')
+  };
+  $(inst, 'tec-lead-status').textContent = status[state];
+}
+
+/**
+ * Go back to the template and configured inputs
+ * @param {Object} inst - Calculator instance
+ */
+function resetInputs(inst) {
+  setInputs(inst, inst.defaultInputs);
+
+  // A reset is not an input change
+  inst.lastInputs = JSON.stringify(getInputs(inst));
+  dispatchWidgetEvent(inst.host, 'reset', { inputs: getInputs(inst) });
+}
+
+/**
+ * Download the current results as a PDF report
+ * @param {Object} inst - Calculator instance
+ */
+export function downloadReport(inst) {
+  const report = buildReport(inst);
+  if (!report) return;
+
+  downloadFile(renderReportPdf(report), `${report.fileName}.pdf`, 'application/pdf');
+  dispatchWidgetEvent(inst.host, 'report', { tab: inst.currentTab, results: getResults(inst) });
+}
+
+/**
+ * Export the current results
+ * @param {Object} inst - Calculator instance
+ * @param {string} format - 'json' (see buildExport), 'csv' (see CSV_COLUMNS) or 'text' (localized summary)
+ * @returns {string|null} Export, or null if there are no results yet or the format is not supported
+ */
+export function exportResults(inst, format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.warn(`TecBlu Calculator: Unsupported export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+    return null;
+  }
+  if (!inst.results) return null;
+  if (format === 'text') return renderReportText(buildReport(inst));
+
+  const data = buildExport(inst.results, { country: inst.currentCountry });
+  return format === 'csv' ? exportCsv(data) : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Download the current results as a CSV or JSON file
+ * @param {Object} inst - Calculator instance
+ * @param {string} format - 'csv' or 'json'
+ */
+function downloadExport(inst, format) {
+  const content = exportResults(inst, format);
+  if (content === null) return;
+
+  const fileName = `tecblu-${inst.results.type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  downloadFile(content, fileName, format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json');
+}
+
+/**
+ * Build the report of the current results (see renderReportPdf). Uses the
+ * texts of the results card (formatResults), so the report matches what is
+ * on screen.
+ * @param {Object} inst - Calculator instance
+ * @returns {Object|null} Report content with the file name (without extension), or null if there are no results
+ */
+function buildReport(inst) {
+  const r = inst.results;
+  if (!r) return null;
+
+  const translations = inst.wrapper._tecTranslations;
+  const t = (key, fallback) => getNestedValue(translations, key) || fallback;
+  const config = getCountryConfig(inst);
+  const type = r.type === 'heating' ? 'heating' : 'diesel';
+  const text = formatResults(inst, r);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const resultRows = [
+    [type === 'heating' ? t('results.oilSaved', 'Heizöl gespart') : t('results.fuelSaved', 'Treibstoff gespart'), text.liters],
+    [co2LabelText(inst, r), text.co2]
+  ];
+  if (text.perVehicle) resultRows.push([t('results.perVehicle', 'Pro Fahrzeug'), text.perVehicle]);
+  resultRows.push([t('results.investment', 'TecBlu-Investition'), text.investment]);
+
+  return {
+    fileName: `${t('report.fileName', 'tecblu-sparbericht')}-${today}`,
+    title: t('report.title', 'TecBlu Sparbericht'),
+    subtitle: (type === 'heating' ? t('tabs.heating', 'Heizöl') : t('tabs.fuel', 'Treibstoff')) + ' · ' + inst.fmt.date(today),
+    primaryLabel: t('results.primaryLabel', 'Jährliche Nettoersparnis'),
+    primaryValue: text.net,
+    sections: [
+      { heading: t('report.inputs', 'Ihre Angaben'), rows: reportInputRows(inst, r) },
+      { heading: t('report.results', 'Ergebnisse pro Jahr'), rows: resultRows }
+    ],
+    comparison: {
+      heading: type === 'heating'
+        ? t('results.heatingCompareTitle', 'Jährliche Heizölkosten im Vergleich')
+        : t('results.fuelCompareTitle', 'Jährliche Treibstoffkosten im Vergleich'),
+      rows: [
+        { label: t('results.withoutTecblu', 'Ohne TecBlu'), value: text.costWithout, share: 1 },
+        { label: t('results.withTecblu', 'Mit TecBlu'), value: text.costWith, share: r.costWithout > 0 ? r.costWith / r.costWithout : 1 }
+      ]
+    },
+    notes: [
+      t('report.created', 'Erstellt am {date}').replace('{date}', inst.fmt.date(today)),
+      priceHintText(inst, type, config) + '. ' + tecbluCostText(inst, type, config) + '.',
+      co2NoteText(inst, r),
+      t('report.disclaimer', 'Unverbindliche Schätzung auf Basis Ihrer Angaben. Die tatsächliche Ersparnis hängt von Fahrzeugen, Anlage und Betrieb ab.')
+    ]
+  };
+}
+
+/**
+ * Describe the inputs of a result as report rows
+ * @param {Object} inst - Calculator instance
+ * @param {Object} r - Calculation result
+ * @returns {string[][]} [[label, value]]
+ */
+function reportInputRows(inst, r) {
+  const translations = inst.wrapper._tecTranslations;
+  const t = (key, fallback) => getNestedValue(translations, key) || fallback;
+  const inputs = r.inputs;
+  const percent = value => inst.fmt.number(value) + ' ' + t('units.percent', '%');
+  const consumption = value => unitText(inst, 'consumption', value, Number.isInteger(value) ? 0 : 1);
+  const perLiter = value => inst.fmt.price(value) + ' ' + t('diesel.pricePerLiter', 'pro Liter');
+  const co2Basis = [t('co2.basisLabel', 'CO₂-Bilanz'), t(`co2.${inputs.co2Basis}`, inputs.co2Basis.toUpperCase())];
+
+  if (r.type === 'heating') {
+    const building = getInputs(inst).building;
+    const rows = building ? [[t('heating.buildingLabel', 'Gebäudetyp'), t(`heating.buildingTypes.${building}`, building)]] : [];
+    if (!building && inst.estimating && inputs.liters === inst.estimatedLiters) {
+      const selected = id => $(inst, id).selectedOptions[0]?.textContent || '';
+      rows.push([
+        t('estimate.reportLabel', 'Verbrauch geschätzt aus'),
+        `${inst.fmt.number(clamp(parseFloat($(inst, 'tec-estimate-area').value), ...LIMITS.area))} m², ${selected('tec-estimate-building')}, ${selected('tec-estimate-region')}`
+      ]);
+    }
+    return rows.concat([
+      [t('heating.consumptionLabel', 'Jährlicher Heizölverbrauch'), unitText(inst, 'volume', inputs.liters, 0)],
+      [t('heating.priceLabel', 'Heizölpreis pro Liter'), inst.fmt.price(inputs.price)],
+      [t('heating.savingsLabel', 'Erwartete Heizöleinsparung'), percent(inputs.savings)],
+      co2Basis
+    ]);
+  }
+
+  const kmLabel = inst.units.distance === 'km'
+    ? t('diesel.kmLabel', 'Ø km pro Fahrzeug / Jahr')
+    : t('diesel.milesLabel', 'Ø Meilen pro Fahrzeug / Jahr');
+  const vehicleRows = inputs.groups
+    ? inputs.groups.map((group, i) => [
+      `${t('fleet.label', 'Fahrzeuggruppen')} ${i + 1}`,
+      `${group.vehicles} × ${unitText(inst, 'distance', group.km, 0)}, ${consumption(group.consumption)}`
+    ])
+    : [
+      [t('diesel.vehiclesLabel', 'Anzahl Fahrzeuge'), inst.fmt.number(inputs.vehicles)],
+      [kmLabel, unitText(inst, 'distance', inputs.km, 0)],
+      [t('diesel.consumptionLabel', 'Durchschnittlicher Verbrauch'), consumption(inputs.consumption)]
+    ];
+
+  return [
+    [t('fuel.label', 'Treibstoffart'), t(`fuel.${inputs.fuel}`, inputs.fuel)],
+    ...vehicleRows,
+    [t('diesel.priceLabel', 'Treibstoffpreis'), perLiter(inputs.price)],
+    [t('diesel.savingsLabel', 'Erwartete Treibstoffeinsparung'), percent(inputs.savings)],
+    co2Basis
+  ];
+}
+
+/**
+ * Main calculation dispatcher
+ */
+function calculate(inst) {
+  if (inst.currentTab === 'diesel') {
+    calculateDiesel(inst);
+  } else {
+    calculateHeating(inst);
+  }
+
+  const inputs = getInputs(inst);
+  inst.results.projection = computeProjection(inst.results, {
+    years: inputs.years,
+    escalation: inputs.priceEscalation,
+    discount: inputs.discountRate
+  });
+  inst.results.breakEven = computeBreakEven(inst.results);
+
+  // The break-even notice always shows; the tables and charts are only drawn
+  // while their panel is open, not on every slider step
+  renderBreakEven(inst);
+  if ($(inst, 'tec-projection-panel').classList.contains('show')) renderProjection(inst);
+  if ($(inst, 'tec-scenarios-panel').classList.contains('show')) renderScenarios(inst);
+
+  dispatchWidgetEvent(inst.host, 'calculated', {
+    tab: inst.currentTab,
+    inputs,
+    results: getResults(inst)
+  });
+}
+
+/**
+ * Calculate diesel/fuel savings
+ */
+function calculateDiesel(inst) {
+  const inputs = getInputs(inst);
+  const config = getCountryConfig(inst);
+  const r = inputs.groups
+    ? computeFleetSavings({
+      groups: inputs.groups,
+      price: inputs.dieselPrice,
+      savings: inputs.dieselSavings,
+      fuel: inputs.fuel,
+      co2Basis: inputs.co2Basis
+    }, config)
+    : computeFuelSavings({
+      vehicles: inputs.vehicles,
+      km: inputs.km,
+      consumption: inputs.consumption,
+      price: inputs.dieselPrice,
+      savings: inputs.dieselSavings,
+      fuel: inputs.fuel,
+      co2Basis: inputs.co2Basis
+    }, config);
+  inst.results = r;
+  const text = formatResults(inst, r);
 
   // Update UI
-  $('tec-primary-result').textContent = formatCurrency(net, currentCurrency, currentLang);
-  $('tec-r-diesel').textContent = formatNumber(litersSaved, 0, currentLang) + ' L';
-  $('tec-r-co2').textContent = formatNumber(co2, 1, currentLang) + ' t';
-  $('tec-r-vehicle').textContent = formatCurrency(perVehicle, currentCurrency, currentLang);
-  $('tec-r-invest').textContent = formatCurrency(tecCost, currentCurrency, currentLang);
-  $('tec-c-without').textContent = formatCurrency(costWithout, currentCurrency, currentLang);
-  $('tec-c-with').textContent = formatCurrency(costWith, currentCurrency, currentLang);
-  $('tec-bar-with').style.width = (costWithout > 0 ? (costWith / costWithout) * 100 : 100) + '%';
-  $('tec-cta-val').textContent = formatCurrency(net, currentCurrency, currentLang);
-  $('tec-cta-link').href = currentQuoteUrl + '?type=diesel&savings=' + Math.round(net) + '&liters=' + Math.round(totalLiters);
+  $(inst, 'tec-primary-result').textContent = text.net;
+  $(inst, 'tec-r-diesel').textContent = text.liters;
+  $(inst, 'tec-r-co2').textContent = text.co2;
+  updateCo2Label(inst, 'tec-r-co2-label', r);
+  $(inst, 'tec-r-vehicle').textContent = text.perVehicle;
+  $(inst, 'tec-r-invest').textContent = text.investment;
+  $(inst, 'tec-c-without').textContent = text.costWithout;
+  $(inst, 'tec-c-with').textContent = text.costWith;
+  $(inst, 'tec-bar-with').style.width = (r.costWithout > 0 ? (r.costWith / r.costWithout) * 100 : 100) + '%';
+  $(inst, 'tec-cta-val').textContent = text.net;
+  updateCtaLink(inst);
+  announceSavings(inst, text.net);
 }
 
 /**
  * Calculate heating oil savings
  */
-function calculateHeating() {
-  const config = COUNTRY_CONFIG[currentCountry] || COUNTRY_CONFIG.CH;
-  const liters = clamp(parseFloat($('tec-heating-input').value) || 8000, LIMITS.heating[0], LIMITS.heating[1]);
-  const price = clamp(parseFloat($('tec-heating-price').value) || config.heatingPrice, LIMITS.price[0], LIMITS.price[1]);
-  const savePct = clamp(parseFloat($('tec-heating-savings-slider').value) || 7, LIMITS.savings[0], LIMITS.savings[1]);
-
-  // Calculations
-  const litersSaved = liters * (savePct / 100);
-  const gross = litersSaved * price;
-  const tecCost = liters * currentTecCost;
-  const net = Math.max(0, gross - tecCost);
-  const co2 = litersSaved * (CO2_LITER / 1000);
-  const costWithout = liters * price;
-  const costWith = costWithout - net;
+function calculateHeating(inst) {
+  const inputs = getInputs(inst);
+  const r = computeHeatingSavings({
+    liters: inputs.heatingLiters,
+    price: inputs.heatingPrice,
+    savings: inputs.heatingSavings,
+    co2Basis: inputs.co2Basis
+  }, getCountryConfig(inst));
+  inst.results = r;
+  const text = formatResults(inst, r);
 
   // Update UI
-  $('tec-primary-result').textContent = formatCurrency(net, currentCurrency, currentLang);
-  $('tec-rh-oil').textContent = formatNumber(litersSaved, 0, currentLang) + ' L';
-  $('tec-rh-co2').textContent = formatNumber(co2, 2, currentLang) + ' t';
-  $('tec-rh-invest').textContent = formatCurrency(tecCost, currentCurrency, currentLang);
-  $('tec-ch-without').textContent = formatCurrency(costWithout, currentCurrency, currentLang);
-  $('tec-ch-with').textContent = formatCurrency(costWith, currentCurrency, currentLang);
-  $('tec-bar-h-with').style.width = (costWithout > 0 ? (costWith / costWithout) * 100 : 100) + '%';
-  $('tec-cta-val').textContent = formatCurrency(net, currentCurrency, currentLang);
-  $('tec-cta-link').href = currentQuoteUrl + '?type=heating&savings=' + Math.round(net) + '&liters=' + Math.round(liters);
-}
-
-export { calculate, LIMITS, BUILDING_PRESETS };
+  $(inst, 'tec-primary-result').textContent = text.net;
+  $(inst, 'tec-rh-oil').textContent = text.liters;
+  $(inst, 'tec-rh-co2').textContent = text.co2;
+  updateCo2Label(inst, 'tec-rh-co2-label', r);
+  $(inst, 'tec-rh-invest').textContent = text.investment;
+  $(inst, 'tec-ch-without').textContent = text.costWithout;
+  $(inst, 'tec-ch-with').textContent = text.costWith;
+  $(inst, 'tec-bar-h-with').style.width = (r.costWithout > 0 ? (r.costWith / r.costWithout) * 100 : 100) + '%';
+  $(inst, 'tec-cta-val').textContent = text.net;
+  updateEstimateResult(inst);
+  updateCtaLink(inst);
+  announceSavings(inst, text.net);
+}
+
+/**
+ * Announce the net savings to screen readers once the visitor stops
+ * changing inputs, so sliders do not read out every step
+ * @param {Object} inst - Calculator instance
+ * @param {string} net - Formatted net savings
+ */
+function announceSavings(inst, net) {
+  clearTimeout(inst.announceTimer);
+  inst.announceTimer = setTimeout(() => {
+    if (net === inst.announced) return;
+    inst.announced = net;
+    const label = inst.wrapper._tecTranslations?.results?.primaryLabel || 'Jährliche Nettoersparnis';
+    $(inst, 'tec-live').textContent = `${label}: ${net}`;
+  }, ANNOUNCE_DELAY_MS);
+}
+
+/**
+ * Point the quote button at the quote page with type, savings and liters of
+ * the calculation, for older quote pages. The complete calculation is added
+ * when the button is clicked (see followCtaLink).
+ * @param {Object} inst - Calculator instance
+ */
+function updateCtaLink(inst) {
+  $(inst, 'tec-cta-link').href = quoteLinkUrl(inst);
+}
+
+/**
+ * Build the quote link of the current results, without the complete calculation
+ * @param {Object} inst - Calculator instance
+ * @returns {string} Quote page URL with type, savings and liters
+ */
+function quoteLinkUrl(inst) {
+  const r = inst.results;
+  return `${inst.currentQuoteUrl}?type=${r.type}&savings=${Math.round(r.net)}&liters=${Math.round(r.totalLiters)}`;
+}
+
+/**
+ * Add the complete calculation (handoff.js) to the quote link as it is
+ * followed. With a handoff key the click waits for Web Crypto to sign it,
+ * then opens the quote page in the same tab, so the page always gets a
+ * signature of the results on screen.
+ * @param {Object} inst - Calculator instance
+ * @param {HTMLAnchorElement} link - The quote button
+ * @param {Event} e - The click
+ */
+function followCtaLink(inst, link, e) {
+  const url = quoteLinkUrl(inst);
+  const encoded = encodeHandoff({ ...buildExport(inst.results, { country: inst.currentCountry }), lang: inst.currentLang });
+  link.href = `${url}&${HANDOFF_PARAM}=${encoded}`;
+  if (!inst.handoffKey) return;
+
+  e.preventDefault();
+  signHandoff(encoded, inst.handoffKey).then(signed => {
+    link.href = `${url}&${HANDOFF_PARAM}=${signed}`;
+  }, err => {
+    // Warn once, then stop signing
+    console.warn(`TecBlu Calculator: Could not sign the quote link, sending it unsigned (${err.message})`);
+    inst.handoffKey = null;
+  }).then(() => window.location.assign(link.href));
+}
+
+/**
+ * Format a result for display. The results card and the PDF report both use
+ * these texts, so they always show the same figures.
+ * @param {Object} inst - Calculator instance
+ * @param {Object} r - Calculation result
+ * @returns {Object} { net, liters, co2, perVehicle, investment, costWithout, costWith }
+ */
+function formatResults(inst, r) {
+  return {
+    net: inst.fmt.money(r.net),
+    liters: unitText(inst, 'volume', r.litersSaved, 0),
+    // Heating saves far less CO₂ than a fleet, so it shows one more decimal
+    co2: unitText(inst, 'co2', r.co2, r.type === 'heating' ? 2 : 1),
+    perVehicle: r.perVehicle !== undefined ? inst.fmt.money(r.perVehicle) : null,
+    investment: inst.fmt.money(r.tecCost),
+    costWithout: inst.fmt.money(r.costWithout),
+    costWith: inst.fmt.money(r.costWith)
+  };
+}
+
+/**
+ * Name the CO₂ basis in a result label and explain the factor in its tooltip
+ * @param {Object} inst - Calculator instance
+ * @param {string} id - Template ID of the label
+ * @param {Object} r - Calculation result
+ */
+function updateCo2Label(inst, id, r) {
+  const label = $(inst, id);
+  const textNode = Array.from(label.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+  textNode.textContent = co2LabelText(inst, r);
+  label.querySelector('.tec-tooltip-text').textContent = co2NoteText(inst, r);
+}
+
+/**
+ * Get the CO₂ result label with the basis, e.g. "CO₂ reduziert (TTW)"
+ * @param {Object} inst - Calculator instance
+ * @param {Object} r - Calculation result
+ * @returns {string} Label
+ */
+function co2LabelText(inst, r) {
+  const translations = inst.wrapper._tecTranslations;
+  const basis = r.inputs.co2Basis;
+  return (translations?.results?.co2Reduced || 'CO₂ reduziert ({basis})')
+    .replace('{basis}', translations?.co2?.[basis + 'Short'] || basis.toUpperCase());
+}
+
+/**
+ * Get the explanation of the CO₂ factor: basis, factor, fuel and source
+ * @param {Object} inst - Calculator instance
+ * @param {Object} r - Calculation result
+ * @returns {string} Explanation
+ */
+function co2NoteText(inst, r) {
+  const translations = inst.wrapper._tecTranslations;
+  const co2 = translations?.co2;
+  const basis = r.inputs.co2Basis;
+  const fuel = r.type === 'heating'
+    ? translations?.tabs?.heating || 'Heizöl'
+    : translations?.fuel?.[r.inputs.fuel] || r.inputs.fuel;
+
+  return (co2?.tooltip || '{basis}: {factor} kg CO₂e pro Liter {fuel}. Quelle: {source}')
+    .replace('{basis}', co2?.[basis] || basis.toUpperCase())
+    .replace('{factor}', inst.fmt.number(r.co2Factor, 2))
+    .replace('{fuel}', fuel)
+    .replace('{source}', r.co2Source);
+}
+
+/**
+ * Show or hide the break-even and sensitivity panel
+ * @param {Object} inst - Calculator instance
+ */
+function toggleSensitivity(inst) {
+  if ($(inst, 'tec-sensitivity-panel').classList.toggle('show')) renderBreakEven(inst);
+  updateSensitivityToggle(inst);
+}
+
+/**
+ * Update the break-even and sensitivity toggle text
+ * @param {Object} inst - Calculator instance
+ */
+function updateSensitivityToggle(inst) {
+  const sensitivity = inst.wrapper._tecTranslations?.sensitivity;
+  const open = $(inst, 'tec-sensitivity-panel').classList.contains('show');
+  $(inst, 'tec-sensitivity-toggle').setAttribute('aria-expanded', String(open));
+  if (open) {
+    $(inst, 'tec-sensitivity-toggle').textContent = sensitivity?.toggleClose || '− Sensitivität ausblenden';
+  } else {
+    $(inst, 'tec-sensitivity-toggle').textContent = sensitivity?.toggle || '+ Gewinnschwelle und Sensitivität';
+  }
+}
+
+/**
+ * Show the notice below break-even and, while their panel is open, the
+ * break-even points and the grid of net savings over prices and savings
+ * percentages
+ * @param {Object} inst - Calculator instance
+ */
+function renderBreakEven(inst) {
+  const r = inst.results;
+  const breakEven = r.breakEven;
+  const t = (key, fallback) => getNestedValue(inst.wrapper._tecTranslations, key) || fallback;
+  const percent = value => inst.fmt.number(value, Number.isInteger(value) ? 0 : 1) + ' ' + t('units.percent', '%');
+  const values = {
+    price: inst.fmt.price(r.inputs.price),
+    savings: percent(r.inputs.savings),
+    breakEvenSavings: percent(breakEven.savings),
+    breakEvenPrice: inst.fmt.price(breakEven.price)
+  };
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+
+  // Without it a configuration below break-even would just show 0 net savings
+  const notice = $(inst, 'tec-breakeven-notice');
+  notice.classList.toggle('tec-hidden', !breakEven.below);
+  notice.textContent = breakEven.below
+    ? fill(t('sensitivity.below', 'Unter der Gewinnschwelle: Bei {price} pro Liter rechnet sich TecBlu ab {breakEvenSavings} Einsparung, bei {savings} Einsparung ab {breakEvenPrice} pro Liter.'))
+    : '';
+  if (!$(inst, 'tec-sensitivity-panel').classList.contains('show')) return;
+
+  $(inst, 'tec-breakeven-savings').textContent = values.breakEvenSavings;
+  $(inst, 'tec-breakeven-savings-hint').textContent = fill(t('sensitivity.savingsHint', 'bei {price} pro Liter'));
+  $(inst, 'tec-breakeven-price').textContent = values.breakEvenPrice;
+  $(inst, 'tec-breakeven-price-hint').textContent = fill(t('sensitivity.priceHint', 'bei {savings} Einsparung'));
+
+  const sensitivity = computeSensitivity(r, getCountryConfig(inst));
+  const maxNet = Math.max(...sensitivity.rows.map(row => Math.max(...row.cells.map(cell => cell.net))));
+
+  const head = $(inst, 'tec-sensitivity-head');
+  while (head.children.length > 1) head.lastChild.remove();
+  sensitivity.prices.forEach(price => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = inst.fmt.price(price);
+    head.appendChild(th);
+  });
+
+  const body = $(inst, 'tec-sensitivity-rows');
+  body.textContent = '';
+  sensitivity.rows.forEach(row => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = percent(row.savings);
+    tr.appendChild(th);
+
+    row.cells.forEach(cell => {
+      const td = document.createElement('td');
+      td.textContent = inst.fmt.money(cell.net);
+      td.classList.toggle('below', cell.margin < 0);
+      td.classList.toggle('current', row.savings === r.inputs.savings && Math.abs(cell.price - r.inputs.price) < 0.005);
+      td.style.setProperty('--heat', maxNet > 0 ? (cell.net / maxNet).toFixed(2) : 0);
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+}
+
+/**
+ * Show or hide the scenario comparison
+ * @param {Object} inst - Calculator instance
+ */
+function toggleScenarios(inst) {
+  if ($(inst, 'tec-scenarios-panel').classList.toggle('show')) renderScenarios(inst);
+  updateScenariosToggle(inst);
+}
+
+/**
+ * Update the scenario comparison toggle text
+ * @param {Object} inst - Calculator instance
+ */
+function updateScenariosToggle(inst) {
+  const scenarios = inst.wrapper._tecTranslations?.scenarios;
+  const open = $(inst, 'tec-scenarios-panel').classList.contains('show');
+  $(inst, 'tec-scenarios-toggle').setAttribute('aria-expanded', String(open));
+  if (open) {
+    $(inst, 'tec-scenarios-toggle').textContent = scenarios?.toggleClose || '− Vergleich ausblenden';
+  } else {
+    $(inst, 'tec-scenarios-toggle').textContent = scenarios?.toggle || '+ Szenarien vergleichen';
+  }
+}
+
+/**
+ * Get the saved scenarios
+ * @param {Object} inst - Calculator instance
+ * @returns {Object[]} Copies of the scenarios (see createScenario in scenarios.js)
+ */
+export function getScenarios(inst) {
+  return inst.scenarios.map(scenario => ({ ...scenario, inputs: { ...scenario.inputs }, results: { ...scenario.results } }));
+}
+
+/**
+ * Save the current calculation as a scenario of the current tab
+ * @param {Object} inst - Calculator instance
+ * @param {string} [name] - Scenario name (default: "Szenario 1", "Szenario 2", ...)
+ * @returns {Object|null} The scenario, or null if the tab already has MAX_SCENARIOS
+ */
+export function saveScenario(inst, name) {
+  const count = inst.scenarios.filter(scenario => scenario.type === inst.currentTab).length;
+  if (count >= MAX_SCENARIOS) {
+    console.warn(`TecBlu Calculator: Keeping at most ${MAX_SCENARIOS} scenarios per tab`);
+    return null;
+  }
+
+  const scenario = createScenario(String(name || '').trim() || defaultScenarioName(inst, count + 1),
+    getInputs(inst), inst.results, inst.currentCountry);
+  $(inst, 'tec-scenario-name').value = '';
+  updateScenarios(inst, inst.scenarios.concat(scenario));
+  return scenario;
+}
+
+/**
+ * Remove a scenario
+ * @param {Object} inst - Calculator instance
+ * @param {string} id - Scenario ID
+ */
+export function removeScenario(inst, id) {
+  updateScenarios(inst, inst.scenarios.filter(scenario => scenario.id !== id));
+}
+
+/**
+ * Load the inputs of a scenario, in its country
+ * @param {Object} inst - Calculator instance
+ * @param {string} id - Scenario ID
+ */
+function applyScenario(inst, id) {
+  const scenario = inst.scenarios.find(item => item.id === id);
+  if (!scenario) return;
+  if (scenario.country !== inst.currentCountry && COUNTRY_CONFIG[scenario.country]) setCountry(inst, scenario.country);
+  setInputs(inst, scenario.inputs);
+}
+
+/**
+ * Replace the scenarios, show them and tell the page (which saves them with data-persist)
+ * @param {Object} inst - Calculator instance
+ * @param {Object[]} scenarios - New scenarios
+ */
+function updateScenarios(inst, scenarios) {
+  inst.scenarios = scenarios;
+  if ($(inst, 'tec-scenarios-panel').classList.contains('show')) renderScenarios(inst);
+  dispatchWidgetEvent(inst.host, 'scenariochange', { scenarios: getScenarios(inst) });
+}
+
+/**
+ * Name a scenario after its position, e.g. "Szenario 2"
+ * @param {Object} inst - Calculator instance
+ * @param {number} n - Position
+ * @returns {string} Name
+ */
+function defaultScenarioName(inst, n) {
+  return (getNestedValue(inst.wrapper._tecTranslations, 'scenarios.defaultName') || 'Szenario {n}').replace('{n}', n);
+}
+
+/**
+ * Render the scenarios of the current tab, with the differences to the baseline
+ * @param {Object} inst - Calculator instance
+ */
+function renderScenarios(inst) {
+  const t = (key, fallback) => getNestedValue(inst.wrapper._tecTranslations, key) || fallback;
+  const rows = compareScenarios(inst.scenarios, inst.currentTab);
+  const full = rows.length >= MAX_SCENARIOS;
+
+  $(inst, 'tec-scenario-name').placeholder = defaultScenarioName(inst, rows.length + 1);
+  $(inst, 'tec-scenario-save').disabled = full;
+  $(inst, 'tec-scenario-table').classList.toggle('tec-hidden', !rows.length);
+  $(inst, 'tec-scenario-hint').textContent = full
+    ? t('scenarios.full', 'Höchstens {max} Szenarien pro Rechner. Entfernen Sie eines, um ein weiteres zu speichern.').replace('{max}', MAX_SCENARIOS)
+    : rows.length < 2 ? t('scenarios.empty', 'Speichern Sie die aktuelle Berechnung, ändern Sie Eingaben und speichern Sie erneut, um die Szenarien zu vergleichen.') : '';
+  $(inst, 'tec-scenario-liters-col').textContent = inst.currentTab === 'heating'
+    ? t('results.oilSaved', 'Heizöl gespart')
+    : t('results.fuelSaved', 'Treibstoff gespart');
+
+  const body = $(inst, 'tec-scenario-rows');
+  body.textContent = '';
+  rows.forEach(({ scenario, isBaseline, diffs }) => {
+    // Amounts in the scenario's own currency
+    const fmt = scenario.currency === inst.currentCurrency
+      ? inst.fmt
+      : createFormatter(inst.currentLang, scenario.country, scenario.currency);
+    const format = {
+      net: value => fmt.money(value),
+      litersSaved: value => unitText(inst, 'volume', value, 0),
+      co2: value => unitText(inst, 'co2', value, scenario.type === 'heating' ? 2 : 1),
+      tecCost: value => fmt.money(value)
+    };
+
+    const tr = document.createElement('tr');
+    tr.dataset.id = scenario.id;
+
+    const name = document.createElement('td');
+    name.textContent = scenario.name;
+    if (isBaseline) {
+      const badge = document.createElement('span');
+      badge.className = 'tec-scenario-badge';
+      badge.textContent = t('scenarios.baseline', 'Basis');
+      name.appendChild(badge);
+    }
+    tr.appendChild(name);
+
+    SCENARIO_METRICS.forEach(metric => {
+      const td = document.createElement('td');
+      td.textContent = format[metric](scenario.results[metric]);
+      if (!isBaseline) td.appendChild(scenarioDiff(inst, metric, diffs[metric], format[metric]));
+      tr.appendChild(td);
+    });
+
+    const actions = document.createElement('td');
+    const buttons = [
+      ['apply-scenario', t('scenarios.apply', 'Laden')],
+      isBaseline ? null : ['set-baseline', t('scenarios.setBaseline', 'Als Basis')],
+      ['remove-scenario', t('scenarios.remove', 'Entfernen')]
+    ];
+    buttons.filter(Boolean).forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tec-action-btn';
+      button.dataset.action = `click:${action}`;
+      button.textContent = label;
+      button.setAttribute('aria-label', `${label}: ${scenario.name}`);
+      actions.appendChild(button);
+    });
+    tr.appendChild(actions);
+
+    body.appendChild(tr);
+  });
+}
+
+/**
+ * Show the difference of a figure to the baseline, colored by whether it is
+ * better (more savings, less TecBlu cost) or worse
+ * @param {Object} inst - Calculator instance
+ * @param {string} metric - Key of SCENARIO_METRICS
+ * @param {number|null} diff - Difference, null if not comparable
+ * @param {Function} format - Formats an absolute value
+ * @returns {HTMLElement} Difference element
+ */
+function scenarioDiff(inst, metric, diff, format) {
+  const el = document.createElement('span');
+  el.className = 'tec-scenario-diff';
+  if (diff === null) {
+    el.textContent = getNestedValue(inst.wrapper._tecTranslations, 'scenarios.otherCurrency') || 'andere Währung';
+    return el;
+  }
+
+  // Differences that round to zero are shown as equal
+  const text = format(Math.abs(diff));
+  const sign = text === format(0) ? 0 : Math.sign(diff);
+  el.classList.toggle('better', sign === (metric === 'tecCost' ? -1 : 1));
+  el.classList.toggle('worse', sign === (metric === 'tecCost' ? 1 : -1));
+  el.textContent = (sign > 0 ? '+' : sign < 0 ? '−' : '±') + text;
+  return el;
+}
+
+/**
+ * Show or hide the multi-year projection
+ */
+function toggleProjection(inst) {
+  if ($(inst, 'tec-projection-panel').classList.toggle('show')) renderProjection(inst);
+  updateProjectionToggle(inst);
+}
+
+/**
+ * Update the projection toggle text
+ */
+function updateProjectionToggle(inst) {
+  const projection = inst.wrapper._tecTranslations?.projection;
+  const open = $(inst, 'tec-projection-panel').classList.contains('show');
+  $(inst, 'tec-projection-toggle').setAttribute('aria-expanded', String(open));
+  if (open) {
+    $(inst, 'tec-projection-toggle').textContent = projection?.toggleClose || '− Prognose ausblenden';
+  } else {
+    $(inst, 'tec-projection-toggle').textContent = projection?.toggle || '+ Mehrjahres-Prognose';
+  }
+}
+
+/**
+ * Clamp the projection rates to LIMITS
+ */
+function clampProjection(inst) {
+  const { priceEscalation, discountRate } = getInputs(inst);
+  $(inst, 'tec-projection-escalation').value = priceEscalation;
+  $(inst, 'tec-projection-discount').value = discountRate;
+  calculate(inst);
+}
+
+/**
+ * Render the projection table and chart from the last results
+ * @param {Object} inst - Calculator instance
+ */
+function renderProjection(inst) {
+  const projection = inst.results.projection;
+  const money = inst.fmt.money;
+  const hasNpv = projection.discount > 0;
+
+  $(inst, 'tec-projection-npv-col').classList.toggle('tec-hidden', !hasNpv);
+  $(inst, 'tec-projection-npv-key').classList.toggle('tec-hidden', !hasNpv);
+
+  const body = $(inst, 'tec-projection-rows');
+  body.textContent = '';
+  projection.rows.forEach(row => {
+    const cells = [
+      row.year,
+      inst.fmt.price(row.price),
+      money(row.net),
+      money(row.cumulativeNet),
+      hasNpv ? money(row.cumulativeNpv) : null,
+      unitText(inst, 'co2', row.cumulativeCo2, 1),
+      money(row.cumulativeTecCost)
+    ];
+    const tr = document.createElement('tr');
+    cells.filter(cell => cell !== null).forEach(cell => {
+      const td = document.createElement('td');
+      td.textContent = cell;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+
+  const series = [
+    { values: projection.rows.map(row => row.cumulativeNet), className: 'green' },
+    { values: projection.rows.map(row => row.cumulativeTecCost), className: 'teal' }
+  ];
+  if (hasNpv) series.splice(1, 0, { values: projection.rows.map(row => row.cumulativeNpv), className: 'dashed' });
+
+  renderLineChart($(inst, 'tec-projection-chart'), {
+    labels: projection.rows.map(row => row.year),
+    series,
+    format: money
+  });
+}
+
+export { calculate };
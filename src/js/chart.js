@@ -0,0 +1,70 @@
+/**
+ * TecBlu Calculator - Charts
+ * Small SVG line charts drawn by the widget itself (no chart library)
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Space for the axis labels inside the viewBox
+const CHART_PADDING = { top: 12, right: 16, bottom: 28, left: 72 };
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes
+ * @returns {SVGElement}
+ */
+function svgElement(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Draw a line chart into an <svg> with a viewBox. The y axis starts at 0 and
+ * has three grid lines labelled with format().
+ * @param {SVGSVGElement} svg - Target element, its content is replaced
+ * @param {Object} chart - Chart data
+ * @param {Array<string|number>} chart.labels - X axis labels, one per point
+ * @param {Object[]} chart.series - Lines [{ values, className }], className styles the line
+ * @param {Function} chart.format - Formats y axis values
+ */
+export function renderLineChart(svg, { labels, series, format }) {
+  const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+  const left = CHART_PADDING.left;
+  const right = width - CHART_PADDING.right;
+  const top = CHART_PADDING.top;
+  const bottom = height - CHART_PADDING.bottom;
+
+  const max = Math.max(0, ...series.flatMap(line => line.values)) || 1;
+  const x = i => (labels.length > 1 ? left + (i / (labels.length - 1)) * (right - left) : (left + right) / 2);
+  const y = v => bottom - (Math.max(0, v) / max) * (bottom - top);
+
+  svg.textContent = '';
+
+  // Grid lines with y axis labels
+  [0, 0.5, 1].forEach(share => {
+    const gy = y(max * share);
+    svg.appendChild(svgElement('line', { class: 'tec-chart-grid', x1: left, x2: right, y1: gy, y2: gy }));
+    const label = svgElement('text', { class: 'tec-chart-label', x: left - 8, y: gy + 4, 'text-anchor': 'end' });
+    label.textContent = format(max * share);
+    svg.appendChild(label);
+  });
+
+  // X axis labels
+  labels.forEach((text, i) => {
+    const label = svgElement('text', { class: 'tec-chart-label', x: x(i), y: height - 8, 'text-anchor': 'middle' });
+    label.textContent = text;
+    svg.appendChild(label);
+  });
+
+  // Lines with a dot per point
+  series.forEach(line => {
+    const points = line.values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+    svg.appendChild(svgElement('polyline', { class: `tec-chart-line ${line.className}`, points: points.join(' ') }));
+    points.forEach(point => {
+      const [cx, cy] = point.split(',');
+      svg.appendChild(svgElement('circle', { class: `tec-chart-dot ${line.className}`, cx, cy, r: 3 }));
+    });
+  });
+}
@@ -3,8 +3,33 @@
  * This file is the entry point for the bundled embed script
  */
 
-import { detectLanguage, detectCountry, applyTranslations } from './localization.js';
-import { initCalculator } from './calculator.js';
+import { detectLanguage, detectCountry, applyTranslations, SUPPORTED_LANGS } from './localization.js';
+import { COUNTRY_CONFIG } from './markets.js';
+import { dispatchWidgetEvent, forwardEvents, connectDataLayer } from './events.js';
+import { parseInputs } from './inputs.js';
+import { DEFAULT_STATE_KEY, readSharedInputs, writeSharedInputs, clearSharedInputs } from './share.js';
+import { loadStoredInputs, saveStoredInputs, clearStoredInputs, loadStoredScenarios, saveStoredScenarios } from './storage.js';
+import { loadPricing } from './pricing.js';
+import { resolveUnits, UNIT_SYSTEMS } from './units.js';
+import { decodeHandoff } from './handoff.js';
+import { resolveTheme, THEME_MODES } from './theme.js';
+import {
+  initCalculator,
+  setInputs,
+  getInputs,
+  getResults,
+  setLanguage,
+  setCountry,
+  setUnits,
+  setPricing,
+  setTheme,
+  downloadReport,
+  exportResults,
+  getScenarios,
+  saveScenario,
+  removeScenario,
+  destroyCalculator
+} from './calculator.js';
 
 // These will be replaced by the build script with actual content
 const CSS_CONTENT = '/* __CSS_PLACEHOLDER__ */';
@@ -16,48 +41,446 @@ const TRANSLATIONS = {
   it: '__IT_PLACEHOLDER__'
 };
 
-// Font loading
+// Font loading (theme.loadFonts)
 const FONT_URL = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
 
+// Containers the widget mounts into
+const CONTAINER_SELECTOR = '#tecblu-calculator, [data-tecblu-calculator]';
+
+// Host rules for shadow DOM mode: stop inherited host page styles (font, color,
+// line-height, ...) from reaching the widget
+const SHADOW_HOST_CSS = ':host{all:initial;display:block}';
+
+// Query parameters in use by calculators that share their inputs
+const SHARED_STATE_KEYS = new Set();
+
+// Storage keys in use by calculators that save their inputs
+const PERSISTED_KEYS = new Set();
+
 /**
- * Initialize the TecBlu Calculator Widget
+ * Initialize the TecBlu Calculator Widget in every container on the page
+ * @returns {Object[]} Handles of all calculators on the page
  */
 function init() {
-  // Find the container element
-  const container = document.getElementById('tecblu-calculator');
+  // Find the container elements
+  const containers = document.querySelectorAll(CONTAINER_SELECTOR);
 
-  if (!container) {
-    console.warn('TecBlu Calculator: Container element #tecblu-calculator not found');
-    return;
+  if (!containers.length) {
+    console.warn('TecBlu Calculator: No container found (#tecblu-calculator or [data-tecblu-calculator])');
+    return [];
+  }
+
+  // Mount every container that has not been initialized yet
+  return Array.from(containers).map(container => container._tecHandle || create(container, readDataOptions(container)));
+}
+
+/**
+ * Read create() options from the container's data-* attributes, e.g.
+ * <div id="tecblu-calculator" data-lang="fr" data-country="CH" data-tab="heating"
+ *      data-vehicles="20" data-consumption="truck" data-quote-url="/offerte">
+ * Invalid values are skipped with a console warning naming the attribute.
+ * Input attributes use the input names (data-diesel-price -> dieselPrice).
+ * @param {HTMLElement} container - The container element
+ * @returns {Object} Options for create()
+ */
+function readDataOptions(container) {
+  const data = container.dataset;
+
+  const reject = (key, expected) => {
+    const attr = 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    console.warn(`TecBlu Calculator: Ignoring ${attr}="${data[key]}" (expected ${expected})`);
+  };
+
+  let country;
+  if (data.country !== undefined) {
+    const code = data.country.toUpperCase();
+    if (COUNTRY_CONFIG[code]) country = code;
+    else reject('country', Object.keys(COUNTRY_CONFIG).join(', '));
   }
 
-  // Detect language and country
-  const lang = detectLanguage();
-  const country = detectCountry();
+  // Prices are validated against the limits of the country the calculator will use
+  const options = parseInputs(data, reject, COUNTRY_CONFIG[country || detectCountry()]);
+  if (country) options.country = country;
+
+  if (data.lang !== undefined) {
+    if (SUPPORTED_LANGS.includes(data.lang)) options.lang = data.lang;
+    else reject('lang', SUPPORTED_LANGS.join(', '));
+  }
 
-  // Load Google Fonts
-  loadFonts();
+  // data-units="uk", or one unit per quantity: data-units="mi,mpg-uk,l,kg"
+  if (data.units !== undefined) {
+    if (resolveUnits(data.units)) options.units = data.units;
+    else reject('units', `${Object.keys(UNIT_SYSTEMS).join(', ')} or units like mi,mpg-uk,gal-uk,kg`);
+  }
 
-  // Inject CSS
-  injectStyles();
+  if (data.quoteUrl !== undefined) {
+    if (isSafeUrl(data.quoteUrl)) options.quoteUrl = data.quoteUrl;
+    else reject('quoteUrl', 'a relative or http(s) URL');
+  }
 
-  // Inject HTML
-  container.innerHTML = HTML_CONTENT;
+  if (data.leadUrl !== undefined) {
+    if (isSafeUrl(data.leadUrl)) options.leadUrl = data.leadUrl;
+    else reject('leadUrl', 'a relative or http(s) URL');
+  }
+
+  // Visible in the page source; it only shows the quote link was not edited by hand
+  if (data.handoffKey !== undefined) {
+    if (data.handoffKey.trim()) options.handoffKey = data.handoffKey;
+    else reject('handoffKey', 'a non-empty key');
+  }
+
+  if (data.pricingUrl !== undefined) {
+    if (isSafeUrl(data.pricingUrl)) options.pricingUrl = data.pricingUrl;
+    else reject('pricingUrl', 'a relative or http(s) URL');
+  }
+
+  // Boolean attribute: <div data-shadow> or data-shadow="true|false"
+  if (data.shadow !== undefined) {
+    if (['', 'true', 'false'].includes(data.shadow)) options.shadow = data.shadow !== 'false';
+    else reject('shadow', 'true or false');
+  }
+
+  // Shareable links are off by default; <div data-share> turns them on
+  if (data.share !== undefined) {
+    if (['', 'true', 'false'].includes(data.share)) options.share = data.share !== 'false';
+    else reject('share', 'true or false');
+  }
+
+  // <div data-export> shows the CSV, JSON and copy summary buttons
+  if (data.export !== undefined) {
+    if (['', 'true', 'false'].includes(data.export)) options.export = data.export !== 'false';
+    else reject('export', 'true or false');
+  }
+
+  // <div data-persist> remembers the inputs and scenarios for returning visitors
+  if (data.persist !== undefined) {
+    if (['', 'true', 'false'].includes(data.persist)) options.persist = data.persist !== 'false';
+    else reject('persist', 'true or false');
+  }
+
+  if (data.stateKey !== undefined) {
+    if (/^[\w-]+$/.test(data.stateKey)) options.stateKey = data.stateKey;
+    else reject('stateKey', 'letters, digits, - or _');
+  }
+
+  if (data.storageKey !== undefined) {
+    if (/^[\w-]+$/.test(data.storageKey)) options.storageKey = data.storageKey;
+    else reject('storageKey', 'letters, digits, - or _');
+  }
+
+  // data-theme="dark|light|auto", or a theme object as JSON (see theme.js)
+  if (data.theme !== undefined) {
+    const value = data.theme.trim();
+    if (THEME_MODES.includes(value)) options.theme = { mode: value };
+    else if (value.startsWith('{')) {
+      try {
+        options.theme = JSON.parse(value);
+      } catch (e) {
+        reject('theme', 'valid JSON');
+      }
+    } else reject('theme', `${THEME_MODES.join(', ')} or a JSON theme object`);
+  }
+
+  // data-load-fonts="false" keeps the widget from loading Inter from Google Fonts
+  if (data.loadFonts !== undefined) {
+    if (['', 'true', 'false'].includes(data.loadFonts)) options.theme = { ...options.theme, loadFonts: data.loadFonts !== 'false' };
+    else reject('loadFonts', 'true or false');
+  }
+
+  // data-cta-phone="+49 30 1234567" sets the phone number below the quote button, data-cta-phone="false" hides it
+  if (data.ctaPhone !== undefined) {
+    const phone = data.ctaPhone.trim() === 'false' ? false : data.ctaPhone.trim();
+    if (phone === false || /\d/.test(phone)) {
+      options.theme = { ...options.theme, cta: { ...(options.theme && options.theme.cta), phone } };
+    } else reject('ctaPhone', 'a phone number or false');
+  }
+
+  // <div data-datalayer> pushes events to window.dataLayer, data-datalayer="name" to another array
+  if (data.datalayer !== undefined) {
+    if (data.datalayer === '') options.dataLayer = true;
+    else if (/^[A-Za-z_$][\w$]*$/.test(data.datalayer)) options.dataLayer = data.datalayer;
+    else reject('datalayer', 'a JavaScript variable name');
+  }
+
+  return options;
+}
+
+/**
+ * Check that a URL is relative or uses http(s), so it is safe to use as a link
+ * @param {string} url - The URL
+ * @returns {boolean} Whether the URL can be used
+ */
+function isSafeUrl(url) {
+  if (!url || !url.trim()) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(url, window.location.href).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create a calculator in the given element
+ * @param {HTMLElement} container - The container element
+ * @param {Object} options - Options
+ * @param {string} [options.lang] - Language code (default: detected)
+ * @param {string} [options.country] - Country code (default: detected)
+ * @param {string} [options.tab] - Initial tab, 'diesel' or 'heating'
+ * @param {number} [options.vehicles] - Number of vehicles
+ * @param {number} [options.km] - Km per vehicle and year
+ * @param {number|string} [options.consumption] - L/100km or preset (truck, van, transporter, car)
+ * @param {number} [options.dieselPrice] - Fuel price per liter
+ * @param {number} [options.dieselSavings] - Expected fuel savings in percent
+ * @param {string} [options.building] - Building preset (single, multi, commercial)
+ * @param {number} [options.heatingLiters] - Annual heating oil consumption in liters
+ * @param {number} [options.heatingPrice] - Heating oil price per liter
+ * @param {number} [options.heatingSavings] - Expected heating oil savings in percent
+ * @param {Object[]} [options.groups] - Mixed fleet [{ vehicles, km, consumption }] instead of vehicles/km/consumption
+ * @param {number} [options.years] - Years of the projection (default: 5)
+ * @param {number} [options.priceEscalation] - Annual fuel price change in percent for the projection
+ * @param {number} [options.discountRate] - Discount rate in percent for the projection's present value
+ * @param {string} [options.fuel] - Fuel of the fuel tab: diesel (default), petrol, biodiesel, hvo
+ * @param {string} [options.co2Basis] - CO₂ basis: 'ttw' (tank-to-wheel, default) or 'wtw' (well-to-wheel)
+ * @param {string|Object} [options.units] - Display units: metric (default), uk, us, "mi,mpg-uk,l,kg" or
+ *   { distance, consumption, volume, co2 }; inputs and results stay metric (km, L/100km, liters, tonnes)
+ * @param {string} [options.quoteUrl] - Quote page URL (default: based on hostname)
+ * @param {string} [options.leadUrl] - Lead endpoint; the quote button opens an inline request form (see leads.js)
+ * @param {string} [options.handoffKey] - Key to sign the calculation passed to the quote page (see handoff.js)
+ * @param {string} [options.pricingUrl] - Pricing feed URL (see pricing.js); the bundled prices are used until it loads
+ * @param {boolean} [options.shadow] - Render inside a shadow root to isolate styles from the host page
+ * @param {boolean} [options.share] - Restore inputs from and sync them to the page URL (default: false).
+ *   Explicit inputs win over the link, and links made for another country are ignored.
+ * @param {string} [options.stateKey] - Query parameter for the shared inputs (default: 'tecblu'), one per calculator on the page
+ * @param {boolean} [options.persist] - Save inputs and scenarios in localStorage and restore them on the next visit.
+ *   Explicit inputs win over the saved ones.
+ * @param {string} [options.storageKey] - Name of the saved inputs and scenarios (default: the stateKey), one per calculator on the page
+ * @param {boolean} [options.export] - Show buttons to download the results as CSV or JSON and copy a text summary
+ * @param {Object|string} [options.theme] - Colors, radius, shadow style, font, font loading, dark mode
+ *   ('light', 'dark', 'auto') and CTA texts and phone number, see theme.js
+ * @param {boolean|string} [options.dataLayer] - Push events to window.dataLayer (or the named array) for GTM
+ * @param {Function} [options.onEvent] - Called with (name, detail) for every widget event, tecblu:calculated
+ *   only once the inputs settle (see events.js)
+ * @returns {Object|null} Calculator handle, or null if the container is missing
+ */
+function create(container, options = {}) {
+  if (!container || container.nodeType !== 1) {
+    console.warn('TecBlu Calculator: create() needs a container element');
+    return null;
+  }
+
+  if (container._tecHandle) {
+    console.warn('TecBlu Calculator: Container is already initialized, returning existing instance');
+    return container._tecHandle;
+  }
+
+  // Explicit language and country win over detection
+  const {
+    lang: langOption,
+    country: countryOption,
+    quoteUrl,
+    leadUrl,
+    handoffKey,
+    pricingUrl,
+    units,
+    shadow,
+    dataLayer,
+    onEvent,
+    share = false,
+    stateKey = DEFAULT_STATE_KEY,
+    persist,
+    storageKey: persistKey = stateKey,
+    export: exportable,
+    theme,
+    ...inputs
+  } = options;
+  const lang = SUPPORTED_LANGS.includes(langOption) ? langOption : detectLanguage();
+  const countryCode = String(countryOption || '').toUpperCase();
+  const country = COUNTRY_CONFIG[countryCode] ? countryCode : detectCountry();
+
+  const resolvedTheme = resolveTheme(theme, (key, expected) => {
+    console.warn(`TecBlu Calculator: Ignoring theme ${key} (expected ${expected})`);
+  });
+
+  // Load Google Fonts (fonts loaded by the document are also usable in shadow roots)
+  if (resolvedTheme.loadFonts) loadFonts();
+
+  // Inject CSS into the document, or into the shadow root
+  const root = shadow ? attachRoot(container) : container;
+  if (root === container) {
+    injectStyles();
+    container.innerHTML = HTML_CONTENT;
+  } else {
+    root.innerHTML = HTML_CONTENT;
+    const style = document.createElement('style');
+    style.textContent = SHADOW_HOST_CSS + CSS_CONTENT;
+    root.insertBefore(style, root.firstChild);
+  }
 
   // Get translations
   const translations = TRANSLATIONS[lang] || TRANSLATIONS.de;
 
   // Apply translations
-  const wrapper = container.querySelector('.tec-calc-wrapper');
-  if (wrapper) {
-    applyTranslations(wrapper, translations);
+  const wrapper = root.querySelector('.tec-calc-wrapper');
+  applyTranslations(wrapper, translations);
+
+  // Connect analytics adapters before the first calculation so they see every event
+  const disconnects = [];
+  if (dataLayer) disconnects.push(connectDataLayer(container, dataLayer === true ? 'dataLayer' : dataLayer));
+  if (typeof onEvent === 'function') disconnects.push(forwardEvents(container, onEvent));
+
+  // Calculators sharing the same query parameter would overwrite each other's link
+  const sharing = share && !SHARED_STATE_KEYS.has(stateKey);
+  if (sharing) {
+    SHARED_STATE_KEYS.add(stateKey);
+    disconnects.push(() => SHARED_STATE_KEYS.delete(stateKey));
+  } else if (share) {
+    console.warn(`TecBlu Calculator: Another calculator already shares its inputs as ?${stateKey}=, not sharing this one (set data-state-key)`);
+  }
+
+  // Calculators saving under the same key would overwrite each other's inputs
+  const persisting = !!persist && !PERSISTED_KEYS.has(persistKey);
+  if (persisting) {
+    PERSISTED_KEYS.add(persistKey);
+    disconnects.push(() => PERSISTED_KEYS.delete(persistKey));
+  } else if (persist) {
+    console.warn(`TecBlu Calculator: Another calculator already saves its inputs as "${persistKey}", not saving this one (set data-storage-key)`);
   }
 
-  // Initialize calculator logic with language and country
-  initCalculator(lang, country);
+  // Restore saved inputs; a shared link wins over them, but only applies in the
+  // country it was made in
+  const savedInputs = Object.assign({}, persisting ? loadStoredInputs(persistKey, country) : null);
+  const shared = sharing ? readSharedInputs(stateKey) : null;
+  if (shared && shared.country !== country) {
+    console.warn(`TecBlu Calculator: Ignoring shared link for country "${shared.country || ''}" (calculator is set to ${country})`);
+  } else if (shared) {
+    Object.assign(savedInputs, parseInputs(shared, (key, expected) => {
+      console.warn(`TecBlu Calculator: Ignoring shared link value ${key}="${shared[key]}" (expected ${expected})`);
+    }, COUNTRY_CONFIG[country]));
+  }
+
+  // The inputs configured for this calculator win over saved and linked ones
+  Object.keys(inputs).forEach(key => {
+    if (inputs[key] !== undefined) delete savedInputs[key];
+  });
+
+  // Initialize calculator logic with language, country and initial inputs
+  const inst = initCalculator(wrapper, lang, country, TRANSLATIONS, {
+    inputs,
+    savedInputs,
+    quoteUrl,
+    leadUrl,
+    handoffKey,
+    units,
+    host: container,
+    stateKey: sharing ? stateKey : null,
+    resettable: persisting,
+    exportable: !!exportable,
+    theme: resolvedTheme,
+    scenarios: persisting ? loadStoredScenarios(persistKey) : []
+  });
+
+  // Keep the page URL (so copying it from the address bar shares the inputs too)
+  // and the saved inputs and scenarios up to date
+  const onInputChange = e => {
+    if (sharing) writeSharedInputs(e.detail.inputs, inst.currentCountry, stateKey);
+    if (persisting) saveStoredInputs(persistKey, e.detail.inputs, inst.currentCountry);
+  };
+  const onReset = () => {
+    if (sharing) clearSharedInputs(stateKey);
+    if (persisting) clearStoredInputs(persistKey, inst.currentCountry);
+  };
+  const onScenarioChange = e => {
+    if (persisting) saveStoredScenarios(persistKey, e.detail.scenarios);
+  };
+  container.addEventListener('tecblu:inputchange', onInputChange);
+  container.addEventListener('tecblu:reset', onReset);
+  container.addEventListener('tecblu:scenariochange', onScenarioChange);
+  disconnects.push(() => {
+    container.removeEventListener('tecblu:inputchange', onInputChange);
+    container.removeEventListener('tecblu:reset', onReset);
+    container.removeEventListener('tecblu:scenariochange', onScenarioChange);
+  });
 
   // Mark as initialized
   container.dataset.tecbluInit = 'true';
+  container._tecHandle = createHandle(container, root, inst, disconnects);
+
+  // Switch to the feed prices once loaded, unless the calculator was destroyed meanwhile
+  if (pricingUrl) {
+    const handle = container._tecHandle;
+    loadPricing(pricingUrl).then(pricing => {
+      if (pricing && container._tecHandle === handle) setPricing(inst, pricing);
+    });
+  }
+
+  dispatchWidgetEvent(container, 'ready', {
+    lang,
+    country,
+    inputs: getInputs(inst),
+    results: getResults(inst)
+  });
+
+  return container._tecHandle;
+}
+
+/**
+ * Get a shadow root for the container. Reuses an existing open root (e.g. after
+ * destroy()), and falls back to the container itself if the element cannot
+ * host a shadow root.
+ * @param {HTMLElement} container - The container element
+ * @returns {ShadowRoot|HTMLElement} Root to render into
+ */
+function attachRoot(container) {
+  if (container.shadowRoot) return container.shadowRoot;
+  try {
+    return container.attachShadow({ mode: 'open' });
+  } catch (e) {
+    console.warn(`TecBlu Calculator: Shadow DOM not available on <${container.tagName.toLowerCase()}>, rendering without it`);
+    return container;
+  }
+}
+
+/**
+ * Build the public handle for a calculator instance
+ * @param {HTMLElement} container - The container element
+ * @param {ShadowRoot|HTMLElement} root - Where the widget is rendered (shadow root or container)
+ * @param {Object} inst - Calculator instance
+ * @param {Function[]} disconnects - Remove the analytics adapters
+ * @returns {Object} Calculator handle
+ */
+function createHandle(container, root, inst, disconnects) {
+  return {
+    element: container,
+    root,
+    setInputs: inputs => setInputs(inst, inputs),
+    getInputs: () => getInputs(inst),
+    getResults: () => getResults(inst),
+    setLanguage: lang => setLanguage(inst, lang),
+    setCountry: country => setCountry(inst, country),
+    setUnits: units => setUnits(inst, units),
+    setTheme: theme => setTheme(inst, theme),
+    downloadReport: () => downloadReport(inst),
+    exportResults: format => exportResults(inst, format),
+    getScenarios: () => getScenarios(inst),
+    saveScenario: name => saveScenario(inst, name),
+    removeScenario: id => removeScenario(inst, id),
+    destroy: () => {
+      destroyCalculator(inst);
+      disconnects.forEach(disconnect => disconnect());
+      root.innerHTML = '';
+      delete container.dataset.tecbluInit;
+      delete container._tecHandle;
+    }
+  };
+}
+
+/**
+ * Get the handle of a calculator
+ * @param {HTMLElement} container - The container element
+ * @returns {Object|null} Calculator handle
+ */
+function getInstance(container) {
+  return (container && container._tecHandle) || null;
 }
 
 /**
@@ -113,6 +536,9 @@ if (document.readyState === 'loading') {
 // Export for manual initialization if needed
 window.TecBluCalc = {
   init,
+  create,
+  get: getInstance,
   detectLanguage,
-  detectCountry
+  detectCountry,
+  decodeHandoff
 };
@@ -0,0 +1,412 @@
+/**
+ * TecBlu Calculator - Savings Engine
+ * Pure calculation functions without DOM access. Used by the widget and
+ * importable from Node (ES module), e.g. for quoting tools:
+ *
+ *   import { computeFuelSavings } from './src/js/engine.js';
+ *   import { COUNTRY_CONFIG } from './src/js/markets.js';
+ *   computeFuelSavings({ vehicles: 5, km: 80000, consumption: 32, price: 1.95, savings: 7 }, COUNTRY_CONFIG.CH);
+ */
+
+// CO₂ equivalent per liter (kg): tank-to-wheel counts burning the fuel only,
+// well-to-wheel adds production and transport. Biofuels burn biogenic carbon,
+// so their tank-to-wheel value is 0. `source` is shown in the CO₂ tooltip;
+// check it against the current edition before changing a value. Diesel
+// tank-to-wheel keeps the widget's 2.65 (EN 16258 has 2.67), so existing
+// results do not change.
+export const CO2_FACTORS = {
+  diesel: { ttw: 2.65, wtw: 3.24, source: 'EN 16258:2012' },
+  petrol: { ttw: 2.42, wtw: 2.88, source: 'EN 16258:2012' },
+  biodiesel: { ttw: 0, wtw: 1.92, source: 'EN 16258:2012' },
+  hvo: { ttw: 0, wtw: 0.51, source: 'GLEC Framework v3 (HVO100)' },
+  heatingOil: { ttw: 2.65, wtw: 3.10, source: 'UBA 2022 (Heizöl EL)' }
+};
+
+// Fuels of the fuel tab; the heating tab is always heatingOil
+export const FUELS = ['diesel', 'petrol', 'biodiesel', 'hvo'];
+
+// CO₂ accounting bases: tank-to-wheel, well-to-wheel
+export const CO2_BASES = ['ttw', 'wtw'];
+
+// Diesel tank-to-wheel factor, kept for code that imported it before CO2_FACTORS
+export const CO2_LITER = CO2_FACTORS.diesel.ttw;
+
+// Input limits
+export const LIMITS = {
+  km: [1000, 300000],
+  cons: [1, 150],
+  vehicles: [1, 1000],
+  heating: [500, 500000],
+  area: [20, 20000],
+  price: [0.5, 5],
+  savings: [1, 25],
+  years: [1, 10],
+  escalation: [-10, 20],
+  discount: [0, 20]
+};
+
+// Maximum number of vehicle groups in a mixed fleet
+export const MAX_FLEET_GROUPS = 10;
+
+// Building presets for heating oil consumption (L/year)
+export const BUILDING_PRESETS = {
+  single: 3000,
+  multi: 8000,
+  commercial: 50000
+};
+
+// Net energy of a liter of heating oil (kWh) and the seasonal efficiency of
+// an oil boiler, to turn the heat demand of a building into liters
+export const HEATING_OIL_KWH = 10;
+export const BOILER_EFFICIENCY = 0.85;
+
+// Sensitivity grid around the current inputs: price changes in percent, and
+// the number and spacing (percentage points) of the savings rows
+export const SENSITIVITY_PRICE_STEPS = [-20, -10, 0, 10, 20];
+export const SENSITIVITY_SAVINGS_ROWS = 5;
+export const SENSITIVITY_SAVINGS_STEP = 2;
+
+// Consumption presets (L/100km)
+export const CONSUMPTION_PRESETS = {
+  truck: 32,
+  van: 12,
+  transporter: 9,
+  car: 7
+};
+
+export const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+/**
+ * Get the price limits of a country: its own for currencies with larger
+ * amounts per liter (PLN, CZK), else LIMITS.price
+ * @param {Object} [countryConfig] - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {number[]} [min, max]
+ */
+export function priceLimits(countryConfig) {
+  return (countryConfig && countryConfig.priceLimits) || LIMITS.price;
+}
+
+/**
+ * Read a numeric input and clamp it to its limits
+ * @param {Object} inputs - Input object
+ * @param {string} key - Input name
+ * @param {number[]} limits - [min, max]
+ * @param {string} [name] - Name used in the error message (default: key)
+ * @returns {number} Clamped value
+ */
+function limitedInput(inputs, key, limits, name = key) {
+  const v = Number(inputs[key]);
+  if (inputs[key] === null || inputs[key] === '' || !Number.isFinite(v)) {
+    throw new TypeError(`TecBlu engine: "${name}" must be a number, got ${inputs[key]}`);
+  }
+  return clamp(v, limits[0], limits[1]);
+}
+
+/**
+ * Get the CO₂ factor of a fuel
+ * @param {string} fuel - Key of CO2_FACTORS
+ * @param {string} basis - 'ttw' or 'wtw'
+ * @returns {Object} { fuel, basis, factor (kg CO₂e per liter), source }
+ */
+export function co2Factor(fuel, basis) {
+  if (!CO2_FACTORS[fuel]) {
+    throw new TypeError(`TecBlu engine: "fuel" must be one of ${Object.keys(CO2_FACTORS).join(', ')}, got ${fuel}`);
+  }
+  if (!CO2_BASES.includes(basis)) {
+    throw new TypeError(`TecBlu engine: "co2Basis" must be one of ${CO2_BASES.join(', ')}, got ${basis}`);
+  }
+  return { fuel, basis, factor: CO2_FACTORS[fuel][basis], source: CO2_FACTORS[fuel].source };
+}
+
+/**
+ * Calculate fuel savings for a fleet
+ * @param {Object} inputs - Fleet inputs, clamped to LIMITS (prices to the country's priceLimits)
+ * @param {number} inputs.vehicles - Number of vehicles
+ * @param {number} inputs.km - Km per vehicle and year
+ * @param {number} inputs.consumption - Consumption in L/100km
+ * @param {number} inputs.price - Fuel price per liter
+ * @param {number} inputs.savings - Expected fuel savings in percent
+ * @param {string} [inputs.fuel] - Fuel, one of FUELS (default: 'diesel')
+ * @param {string} [inputs.co2Basis] - 'ttw' or 'wtw' (default: 'ttw')
+ * @param {Object} countryConfig - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {Object} Result with the clamped inputs, liters, costs, CO₂ (tonnes) and the CO₂ factor used
+ */
+export function computeFuelSavings(inputs, countryConfig) {
+  const vehicles = limitedInput(inputs, 'vehicles', LIMITS.vehicles);
+  const km = limitedInput(inputs, 'km', LIMITS.km);
+  const consumption = limitedInput(inputs, 'consumption', LIMITS.cons);
+  const price = limitedInput(inputs, 'price', priceLimits(countryConfig));
+  const savings = limitedInput(inputs, 'savings', LIMITS.savings);
+  const co2 = co2Factor(inputs.fuel || 'diesel', inputs.co2Basis || 'ttw');
+
+  const litersPerVehicle = (km / 100) * consumption;
+  const totalLiters = litersPerVehicle * vehicles;
+  const litersSaved = totalLiters * (savings / 100);
+  const gross = litersSaved * price;
+  const tecCost = totalLiters * countryConfig.tecCost;
+  const net = Math.max(0, gross - tecCost);
+  const perVehicle = Math.max(0, net / vehicles);
+  const costWithout = totalLiters * price;
+  const costWith = costWithout - net;
+
+  return {
+    type: 'diesel',
+    currency: countryConfig.currency,
+    inputs: { vehicles, km, consumption, price, savings, fuel: co2.fuel, co2Basis: co2.basis },
+    litersPerVehicle,
+    totalLiters,
+    litersSaved,
+    gross,
+    tecCost,
+    net,
+    co2: litersSaved * (co2.factor / 1000),
+    co2Factor: co2.factor,
+    co2Source: co2.source,
+    perVehicle,
+    costWithout,
+    costWith
+  };
+}
+
+/**
+ * Calculate fuel savings for a mixed fleet of vehicle groups. Each group is
+ * clamped to LIMITS on its own; totals and the per-vehicle average cover
+ * the whole fleet.
+ * @param {Object} inputs - Fleet inputs
+ * @param {Object[]} inputs.groups - Vehicle groups [{ vehicles, km, consumption }], 1 to MAX_FLEET_GROUPS
+ * @param {number} inputs.price - Fuel price per liter
+ * @param {number} inputs.savings - Expected fuel savings in percent
+ * @param {string} [inputs.fuel] - Fuel of the whole fleet, one of FUELS (default: 'diesel')
+ * @param {string} [inputs.co2Basis] - 'ttw' or 'wtw' (default: 'ttw')
+ * @param {Object} countryConfig - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {Object} Result like computeFuelSavings, with inputs.vehicles as the
+ *   fleet total and groups [{ vehicles, km, consumption, liters }]
+ */
+export function computeFleetSavings(inputs, countryConfig) {
+  const groups = inputs.groups;
+  if (!Array.isArray(groups) || !groups.length || groups.length > MAX_FLEET_GROUPS) {
+    throw new TypeError(`TecBlu engine: "groups" must be an array of 1 to ${MAX_FLEET_GROUPS} vehicle groups`);
+  }
+
+  const rows = groups.map((group, i) => {
+    const vehicles = limitedInput(group, 'vehicles', LIMITS.vehicles, `groups[${i}].vehicles`);
+    const km = limitedInput(group, 'km', LIMITS.km, `groups[${i}].km`);
+    const consumption = limitedInput(group, 'consumption', LIMITS.cons, `groups[${i}].consumption`);
+    return { vehicles, km, consumption, liters: (km / 100) * consumption * vehicles };
+  });
+  const price = limitedInput(inputs, 'price', priceLimits(countryConfig));
+  const savings = limitedInput(inputs, 'savings', LIMITS.savings);
+  const co2 = co2Factor(inputs.fuel || 'diesel', inputs.co2Basis || 'ttw');
+
+  const vehicles = rows.reduce((sum, row) => sum + row.vehicles, 0);
+  const totalLiters = rows.reduce((sum, row) => sum + row.liters, 0);
+  const litersSaved = totalLiters * (savings / 100);
+  const gross = litersSaved * price;
+  const tecCost = totalLiters * countryConfig.tecCost;
+  const net = Math.max(0, gross - tecCost);
+  const perVehicle = Math.max(0, net / vehicles);
+  const costWithout = totalLiters * price;
+  const costWith = costWithout - net;
+
+  return {
+    type: 'diesel',
+    currency: countryConfig.currency,
+    inputs: {
+      vehicles,
+      groups: rows.map(({ vehicles, km, consumption }) => ({ vehicles, km, consumption })),
+      price,
+      savings,
+      fuel: co2.fuel,
+      co2Basis: co2.basis
+    },
+    groups: rows,
+    litersPerVehicle: totalLiters / vehicles,
+    totalLiters,
+    litersSaved,
+    gross,
+    tecCost,
+    net,
+    co2: litersSaved * (co2.factor / 1000),
+    co2Factor: co2.factor,
+    co2Source: co2.source,
+    perVehicle,
+    costWithout,
+    costWith
+  };
+}
+
+/**
+ * Calculate heating oil savings for a building
+ * @param {Object} inputs - Building inputs, clamped to LIMITS
+ * @param {number} inputs.liters - Annual heating oil consumption in liters
+ * @param {number} inputs.price - Heating oil price per liter
+ * @param {number} inputs.savings - Expected heating oil savings in percent
+ * @param {string} [inputs.co2Basis] - 'ttw' or 'wtw' (default: 'ttw')
+ * @param {Object} countryConfig - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {Object} Result with the clamped inputs, liters, costs, CO₂ (tonnes) and the CO₂ factor used
+ */
+export function computeHeatingSavings(inputs, countryConfig) {
+  const liters = limitedInput(inputs, 'liters', LIMITS.heating);
+  const price = limitedInput(inputs, 'price', priceLimits(countryConfig));
+  const savings = limitedInput(inputs, 'savings', LIMITS.savings);
+  const co2 = co2Factor('heatingOil', inputs.co2Basis || 'ttw');
+
+  const litersSaved = liters * (savings / 100);
+  const gross = litersSaved * price;
+  const tecCost = liters * countryConfig.tecCost;
+  const net = Math.max(0, gross - tecCost);
+  const costWithout = liters * price;
+  const costWith = costWithout - net;
+
+  return {
+    type: 'heating',
+    currency: countryConfig.currency,
+    inputs: { liters, price, savings, co2Basis: co2.basis },
+    totalLiters: liters,
+    litersSaved,
+    gross,
+    tecCost,
+    net,
+    co2: litersSaved * (co2.factor / 1000),
+    co2Factor: co2.factor,
+    co2Source: co2.source,
+    costWithout,
+    costWith
+  };
+}
+
+/**
+ * Estimate the annual heating oil consumption of a building from the heating
+ * tables of its market (see markets.js): heat demand by construction year or
+ * energy class, scaled by the heating degree days of the climate region
+ * @param {Object} inputs - Building data, area clamped to LIMITS
+ * @param {number} inputs.area - Heated floor area in m²
+ * @param {number} [inputs.year] - Construction year, used when no rating is given
+ * @param {string} [inputs.rating] - Energy class of the market's certificate
+ * @param {string} inputs.region - Climate region, key of heating.regions
+ * @param {Object} countryConfig - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {number} Liters per year, rounded to 100 L and clamped to LIMITS.heating
+ */
+export function estimateHeatingLiters(inputs, countryConfig) {
+  const tables = countryConfig.heating;
+  if (!tables) throw new TypeError('TecBlu engine: the market has no heating tables');
+
+  const area = limitedInput(inputs, 'area', LIMITS.area);
+  let demand;
+  if (inputs.rating !== undefined) {
+    demand = tables.ratings[inputs.rating];
+    if (demand === undefined) {
+      throw new TypeError(`TecBlu engine: "rating" must be one of ${Object.keys(tables.ratings).join(', ')}, got ${inputs.rating}`);
+    }
+  } else {
+    const year = limitedInput(inputs, 'year', [0, Infinity]);
+    demand = (tables.ages.find(age => age.until === undefined || year <= age.until)).demand;
+  }
+  const hdd = tables.regions[inputs.region];
+  if (hdd === undefined) {
+    throw new TypeError(`TecBlu engine: "region" must be one of ${Object.keys(tables.regions).join(', ')}, got ${inputs.region}`);
+  }
+
+  const liters = area * demand * (hdd / tables.hdd) / (HEATING_OIL_KWH * BOILER_EFFICIENCY);
+  return clamp(Math.round(liters / 100) * 100, LIMITS.heating[0], LIMITS.heating[1]);
+}
+
+/**
+ * Project savings of a calculation result over several years. The fuel price
+ * grows by the escalation rate every year; the TecBlu cost per liter and the
+ * consumption stay the same. Discounted savings use end-of-year discounting.
+ * @param {Object} result - Result of computeFuelSavings, computeFleetSavings or computeHeatingSavings
+ * @param {Object} options - Projection options, clamped to LIMITS
+ * @param {number} options.years - Number of years
+ * @param {number} [options.escalation] - Annual fuel price change in percent (default: 0)
+ * @param {number} [options.discount] - Discount rate for the NPV in percent (default: 0)
+ * @returns {Object} { years, escalation, discount, rows, totalNet, npv, totalCo2, totalTecCost }
+ *   with one row per year { year, price, net, discounted, cumulativeNet, cumulativeNpv, cumulativeCo2, cumulativeTecCost }
+ */
+export function computeProjection(result, options) {
+  const years = Math.round(limitedInput(options, 'years', LIMITS.years));
+  const escalation = limitedInput({ escalation: 0, ...options }, 'escalation', LIMITS.escalation);
+  const discount = limitedInput({ discount: 0, ...options }, 'discount', LIMITS.discount);
+
+  const rows = [];
+  let cumulativeNet = 0;
+  let cumulativeNpv = 0;
+  for (let year = 1; year <= years; year++) {
+    const price = result.inputs.price * Math.pow(1 + escalation / 100, year - 1);
+    const net = Math.max(0, result.litersSaved * price - result.tecCost);
+    const discounted = net / Math.pow(1 + discount / 100, year);
+    cumulativeNet += net;
+    cumulativeNpv += discounted;
+
+    rows.push({
+      year,
+      price,
+      net,
+      discounted,
+      cumulativeNet,
+      cumulativeNpv,
+      cumulativeCo2: result.co2 * year,
+      cumulativeTecCost: result.tecCost * year
+    });
+  }
+
+  return {
+    years,
+    escalation,
+    discount,
+    rows,
+    totalNet: cumulativeNet,
+    npv: cumulativeNpv,
+    totalCo2: result.co2 * years,
+    totalTecCost: result.tecCost * years
+  };
+}
+
+/**
+ * Find the break-even points of a result: the savings percentage at which
+ * the liters saved pay for TecBlu at the current price, and the price at
+ * which they do with the expected savings. Below them the net savings are 0.
+ * @param {Object} result - Result of computeFuelSavings, computeFleetSavings or computeHeatingSavings
+ * @returns {Object} { savings (percent), price (per liter), below (true if the liters saved
+ *   are worth less than the TecBlu cost) }
+ */
+export function computeBreakEven(result) {
+  const tecCostPerLiter = result.tecCost / result.totalLiters;
+  return {
+    savings: (tecCostPerLiter / result.inputs.price) * 100,
+    price: tecCostPerLiter / (result.inputs.savings / 100),
+    below: result.gross < result.tecCost
+  };
+}
+
+/**
+ * Calculate the net savings of a result over a grid of prices and savings
+ * percentages around its inputs (SENSITIVITY_PRICE_STEPS, SENSITIVITY_SAVINGS_STEP),
+ * with the same liters and TecBlu cost. Prices stay within the country's
+ * priceLimits and savings within LIMITS.
+ * @param {Object} result - Result of computeFuelSavings, computeFleetSavings or computeHeatingSavings
+ * @param {Object} countryConfig - Country configuration (entry of COUNTRY_CONFIG)
+ * @returns {Object} { prices, savings, rows } with one row per savings percentage
+ *   { savings, cells: [{ price, net, margin }] }; margin is the value of the liters
+ *   saved minus the TecBlu cost, negative below break-even
+ */
+export function computeSensitivity(result, countryConfig) {
+  const [minPrice, maxPrice] = priceLimits(countryConfig);
+  const prices = [...new Set(SENSITIVITY_PRICE_STEPS.map(step =>
+    Math.round(clamp(result.inputs.price * (1 + step / 100), minPrice, maxPrice) * 100) / 100))];
+
+  // Keep the rows within LIMITS by shifting them, not by cutting them off
+  const span = (SENSITIVITY_SAVINGS_ROWS - 1) * SENSITIVITY_SAVINGS_STEP;
+  const first = clamp(result.inputs.savings - span / 2, LIMITS.savings[0], LIMITS.savings[1] - span);
+  const savings = Array.from({ length: SENSITIVITY_SAVINGS_ROWS }, (v, i) => first + i * SENSITIVITY_SAVINGS_STEP);
+
+  const rows = savings.map(percent => ({
+    savings: percent,
+    cells: prices.map(price => {
+      const margin = result.totalLiters * (percent / 100) * price - result.tecCost;
+      return { price, net: Math.max(0, margin), margin };
+    })
+  }));
+
+  return { prices, savings, rows };
+}
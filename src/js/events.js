@@ -0,0 +1,97 @@
+/**
+ * TecBlu Calculator - Events
+ * DOM CustomEvents dispatched on the container, plus adapters that forward
+ * them to analytics tools.
+ *
+ *   tecblu:ready        - Widget mounted           { lang, country, inputs, results }
+ *   tecblu:tabchange    - Tab switched by the user { tab, previousTab }
+ *   tecblu:inputchange  - Inputs changed (debounced) { inputs }
+ *   tecblu:calculated   - Results recalculated     { tab, inputs, results }
+ *   tecblu:cta-click    - Quote button clicked     { type, savings, liters, href }
+ *   tecblu:reset        - Inputs reset to defaults { inputs }
+ *   tecblu:report       - PDF report downloaded  { tab, results }
+ *   tecblu:lead         - Quote request sent     { type, savings } (no personal data)
+ *   tecblu:scenariochange - Scenario saved, removed or made the baseline { scenarios }
+ *
+ * tecblu:calculated fires on every slider step and keystroke; the adapters
+ * only forward the last one once the inputs settle (INPUT_DEBOUNCE_MS).
+ */
+
+const EVENT_PREFIX = 'tecblu:';
+
+// All events the widget dispatches (without prefix)
+export const EVENT_NAMES = ['ready', 'tabchange', 'inputchange', 'calculated', 'cta-click', 'reset', 'report', 'lead', 'scenariochange'];
+
+// Delay before tecblu:inputchange fires after the last edit (ms)
+export const INPUT_DEBOUNCE_MS = 500;
+
+// Events the adapters forward debounced, like tecblu:inputchange
+const DEBOUNCED_EVENTS = ['calculated'];
+
+/**
+ * Dispatch a widget event. Events bubble and are composed, so they also
+ * leave a shadow root.
+ * @param {EventTarget} target - Element to dispatch on (the container)
+ * @param {string} name - Event name without prefix
+ * @param {Object} detail - Event payload
+ */
+export function dispatchWidgetEvent(target, name, detail) {
+  target.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, {
+    detail,
+    bubbles: true,
+    composed: true
+  }));
+}
+
+/**
+ * Call a callback for every widget event on a target. Of a burst of
+ * DEBOUNCED_EVENTS only the last one is passed on, INPUT_DEBOUNCE_MS later.
+ * @param {EventTarget} target - Element to listen on
+ * @param {Function} callback - Called with (name, detail, event)
+ * @returns {Function} Removes the listeners
+ */
+export function forwardEvents(target, callback) {
+  const timers = {};
+  const forward = (name, e) => {
+    try {
+      callback(name, e.detail, e);
+    } catch (err) {
+      console.error('TecBlu Calculator: Event callback failed', err);
+    }
+  };
+
+  const listeners = EVENT_NAMES.map(name => {
+    const listener = DEBOUNCED_EVENTS.includes(name)
+      ? e => {
+        clearTimeout(timers[name]);
+        timers[name] = setTimeout(() => forward(name, e), INPUT_DEBOUNCE_MS);
+      }
+      : e => forward(name, e);
+    target.addEventListener(EVENT_PREFIX + name, listener);
+    return [name, listener];
+  });
+
+  return () => {
+    Object.values(timers).forEach(clearTimeout);
+    listeners.forEach(([name, listener]) => {
+      target.removeEventListener(EVENT_PREFIX + name, listener);
+    });
+  };
+}
+
+/**
+ * Push widget events to a Google Tag Manager data layer as
+ * { event: 'tecblu_calculated', tecblu: detail }
+ * @param {EventTarget} target - Element to listen on
+ * @param {string} layerName - Name of the data layer array on window
+ * @returns {Function} Removes the listeners
+ */
+export function connectDataLayer(target, layerName = 'dataLayer') {
+  return forwardEvents(target, (name, detail) => {
+    window[layerName] = window[layerName] || [];
+    window[layerName].push({
+      event: 'tecblu_' + name.replace(/-/g, '_'),
+      tecblu: detail
+    });
+  });
+}
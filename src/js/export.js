@@ -0,0 +1,149 @@
+/**
+ * TecBlu Calculator - Export
+ * Turns a calculation result (getResults, or computeFuelSavings and friends)
+ * into JSON and CSV for CRM notes and spreadsheets. Values are metric and
+ * unformatted, whatever the display units and language. Importable from Node:
+ *
+ *   import { buildExport, exportCsv } from './src/js/export.js';
+ *   const data = buildExport(computeFuelSavings(inputs, COUNTRY_CONFIG.CH), { country: 'CH' });
+ *   exportCsv(data);   // header line and one row
+ *
+ * CSV columns, in this order (decimal point, empty where a column does not
+ * apply, e.g. km on the heating tab):
+ *
+ *   created_at        ISO timestamp of the export
+ *   country           Country code (CH, DE, ...)
+ *   currency          ISO 4217 code of all amounts
+ *   type              diesel (fuel tab) or heating
+ *   fuel              diesel, petrol, biodiesel, hvo or heatingOil
+ *   co2_basis         ttw (tank-to-wheel) or wtw (well-to-wheel)
+ *   vehicles          Number of vehicles (fleet total)
+ *   km                km per vehicle and year (uniform fleet)
+ *   consumption       L/100km (uniform fleet)
+ *   groups            Mixed fleet as vehicles x km x L/100km, groups separated by ";"
+ *   price             Fuel or heating oil price per liter
+ *   savings_percent   Expected savings in percent
+ *   total_liters      Liters per year without TecBlu
+ *   liters_saved      Liters saved per year
+ *   gross_savings     Value of the liters saved per year
+ *   tecblu_cost       TecBlu cost per year
+ *   net_savings       Net savings per year
+ *   per_vehicle       Net savings per vehicle and year
+ *   cost_without      Fuel cost per year without TecBlu
+ *   cost_with         Fuel cost per year with TecBlu
+ *   co2_tonnes        CO₂e reduced per year in tonnes
+ *   co2_factor        kg CO₂e per liter used
+ *   co2_source        Source of the CO₂ factor
+ */
+
+// Bump when fields are renamed or removed, so importers can tell formats apart
+export const EXPORT_VERSION = 1;
+
+// CSV columns and how to read them from an export (see buildExport)
+export const CSV_COLUMNS = [
+  ['created_at', d => d.createdAt],
+  ['country', d => d.country],
+  ['currency', d => d.currency],
+  ['type', d => d.type],
+  ['fuel', d => d.inputs.fuel],
+  ['co2_basis', d => d.inputs.co2Basis],
+  ['vehicles', d => d.inputs.vehicles],
+  ['km', d => d.inputs.km],
+  ['consumption', d => d.inputs.consumption],
+  ['groups', d => d.inputs.groups && d.inputs.groups.map(g => `${g.vehicles}x${g.km}x${g.consumption}`).join(';')],
+  ['price', d => d.inputs.price],
+  ['savings_percent', d => d.inputs.savings],
+  ['total_liters', d => d.results.totalLiters],
+  ['liters_saved', d => d.results.litersSaved],
+  ['gross_savings', d => d.results.gross],
+  ['tecblu_cost', d => d.results.tecCost],
+  ['net_savings', d => d.results.net],
+  ['per_vehicle', d => d.results.perVehicle],
+  ['cost_without', d => d.results.costWithout],
+  ['cost_with', d => d.results.costWith],
+  ['co2_tonnes', d => d.results.co2],
+  ['co2_factor', d => d.results.co2Factor],
+  ['co2_source', d => d.results.co2Source]
+];
+
+/**
+ * Round away floating point noise: amounts and liters to cents, CO₂ to kg
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function roundTo(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Build the export of a calculation result
+ * @param {Object} result - Calculation result (see getResults)
+ * @param {Object} meta - Context of the calculation
+ * @param {string} meta.country - Country code
+ * @param {string} [meta.createdAt] - ISO timestamp (default: now)
+ * @returns {Object} { version, createdAt, country, currency, type, inputs, results[, projection] },
+ *   inputs metric as in the result, fuel 'heatingOil' on the heating tab
+ */
+export function buildExport(result, meta) {
+  const inputs = result.type === 'heating'
+    ? { fuel: 'heatingOil', co2Basis: result.inputs.co2Basis, liters: result.inputs.liters, price: result.inputs.price, savings: result.inputs.savings }
+    : { ...result.inputs, groups: result.inputs.groups ? result.inputs.groups.map(group => ({ ...group })) : undefined };
+
+  const data = {
+    version: EXPORT_VERSION,
+    createdAt: meta.createdAt || new Date().toISOString(),
+    country: meta.country,
+    currency: result.currency,
+    type: result.type,
+    inputs,
+    results: {
+      totalLiters: roundTo(result.totalLiters, 2),
+      litersSaved: roundTo(result.litersSaved, 2),
+      gross: roundTo(result.gross, 2),
+      tecCost: roundTo(result.tecCost, 2),
+      net: roundTo(result.net, 2),
+      perVehicle: result.perVehicle !== undefined ? roundTo(result.perVehicle, 2) : undefined,
+      costWithout: roundTo(result.costWithout, 2),
+      costWith: roundTo(result.costWith, 2),
+      co2: roundTo(result.co2, 3),
+      co2Factor: result.co2Factor,
+      co2Source: result.co2Source
+    }
+  };
+  if (result.projection) {
+    const { years, escalation, discount, totalNet, npv, totalCo2, totalTecCost } = result.projection;
+    data.projection = {
+      years,
+      escalation,
+      discount,
+      totalNet: roundTo(totalNet, 2),
+      npv: roundTo(npv, 2),
+      totalCo2: roundTo(totalCo2, 3),
+      totalTecCost: roundTo(totalTecCost, 2)
+    };
+  }
+  // JSON.stringify leaves out the undefined fields
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write exports as CSV with a header line and one row each (CSV_COLUMNS)
+ * @param {Object|Object[]} data - Export(s) from buildExport
+ * @returns {string} CSV, comma-separated, CRLF line endings
+ */
+export function exportCsv(data) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)]
+    .concat([].concat(data).map(d => CSV_COLUMNS.map(([, read]) => read(d))));
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
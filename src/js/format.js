@@ -0,0 +1,151 @@
+/**
+ * TecBlu Calculator - Formatting
+ * Number, currency and date formatting for one (language, country) pair.
+ * The country decides the currency, the language the separators and word
+ * order: French on tecblu.fr formats as fr-FR, French on fr.tecblu.ch as
+ * fr-CH, German on tecblu.ch as de-CH. Dates are words, so they always
+ * follow the language: English on tecblu.nl groups numbers as nl-NL but
+ * writes "31 January 2026". Importable from Node:
+ *
+ *   import { createFormatter } from './src/js/format.js';
+ *   createFormatter('fr', 'FR').money(8064);   // "8 064 €"
+ *   createFormatter('de', 'CH').money(11546);  // "CHF 11’546.–"
+ *   createFormatter('en', 'NL').date('2026-01-31');  // "31 January 2026"
+ */
+
+import { COUNTRY_CONFIG } from './markets.js';
+
+// Largest value shown, guards against overflowing layouts
+const MAX_OUT = 999999999999;
+
+/**
+ * Get the locale for numbers and money in a language and country: the
+ * market's own locale for the market's site language (English on tecblu.pl
+ * formats as pl-PL), else language-COUNTRY if the browser knows it
+ * @param {string} lang - Language code
+ * @param {string} country - Country code
+ * @returns {string} Locale, e.g. "fr-CH"
+ */
+export function resolveLocale(lang, country) {
+  const market = COUNTRY_CONFIG[country] || COUNTRY_CONFIG.CH;
+  const marketLocale = market.locale;
+  if (!lang || lang === market.lang || marketLocale.split('-')[0] === lang) return marketLocale;
+
+  const locale = `${lang}-${country}`;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length ? locale : marketLocale;
+  } catch (e) {
+    return marketLocale;
+  }
+}
+
+/**
+ * Get the locale for text in a language, such as month names: language-COUNTRY
+ * if the browser knows it, else the language alone. Unlike resolveLocale it
+ * never switches to the market's language.
+ * @param {string} lang - Language code
+ * @param {string} country - Country code
+ * @returns {string} Locale, e.g. "en-NL"
+ */
+export function resolveTextLocale(lang, country) {
+  const market = COUNTRY_CONFIG[country] || COUNTRY_CONFIG.CH;
+  if (!lang) return market.locale;
+
+  const locale = `${lang}-${country}`;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length ? locale : lang;
+  } catch (e) {
+    return lang;
+  }
+}
+
+/**
+ * Format an amount of money. Whole Swiss franc amounts get a dash for the
+ * omitted cents (CHF 1'234.–), in every language.
+ * @param {number} value - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale
+ * @param {number} [decimals] - Decimal places (default: 0, rounded to whole units)
+ * @returns {string} Formatted amount, e.g. "CHF 1’234.–", "1.234 €", "1234 zł"
+ */
+export function formatCurrency(value, currency, locale, decimals = 0) {
+  const parts = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).formatToParts(Math.min(value, MAX_OUT));
+
+  if (currency !== 'CHF' || decimals > 0) return parts.map(p => p.value).join('');
+
+  // Put the dash right after the number, also where the currency comes last (fr-CH: 1 234.– CHF)
+  const last = parts.map(p => p.type).lastIndexOf('integer');
+  return parts.map((p, i) => (i === last ? p.value + '.–' : p.value)).join('');
+}
+
+/**
+ * Format a number
+ * @param {number} value - The number to format
+ * @param {number} decimals - Decimal places
+ * @param {string} locale - Locale
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, decimals, locale) {
+  return new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(Math.min(value, MAX_OUT));
+}
+
+/**
+ * Format a date (YYYY-MM-DD) as day, month name and year
+ * @param {string} value - ISO date
+ * @param {string} locale - Locale
+ * @returns {string} Formatted date, e.g. "31. Januar 2026"
+ */
+export function formatDate(value, locale) {
+  return new Intl.DateTimeFormat(locale, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).format(new Date(value));
+}
+
+/**
+ * Get the symbol of a currency, e.g. "€" for EUR, "zł" for PLN
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale
+ * @returns {string} Currency symbol
+ */
+export function currencySymbol(currency, locale) {
+  const part = new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .formatToParts(0)
+    .find(p => p.type === 'currency');
+  return part ? part.value : currency;
+}
+
+/**
+ * Create the formatter for a language and country
+ * @param {string} lang - Language code
+ * @param {string} country - Country code
+ * @param {string} [currency] - Currency code (default: the country's, see COUNTRY_CONFIG)
+ * @returns {Object} { locale (numbers), textLocale (dates), currency, symbol, money(value),
+ *   price(value, decimals = 2), number(value, decimals = 0), date(iso) }
+ */
+export function createFormatter(lang, country, currency) {
+  const locale = resolveLocale(lang, country);
+  const textLocale = resolveTextLocale(lang, country);
+  const code = currency || (COUNTRY_CONFIG[country] || COUNTRY_CONFIG.CH).currency;
+
+  return {
+    locale,
+    textLocale,
+    currency: code,
+    symbol: currencySymbol(code, locale),
+    money: value => formatCurrency(Math.round(value), code, locale),
+    price: (value, decimals = 2) => formatCurrency(value, code, locale, decimals),
+    number: (value, decimals = 0) => formatNumber(value, decimals, locale),
+    date: value => formatDate(value, textLocale)
+  };
+}
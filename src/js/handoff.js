@@ -0,0 +1,193 @@
+/**
+ * TecBlu Calculator - Quote Handoff
+ * Carries the complete calculation (inputs, results, country, currency,
+ * language) to the quote page in one query parameter, so the quote form
+ * does not ask again. The quote page imports this module to read it:
+ *
+ *   import { decodeHandoff } from './src/js/handoff.js';
+ *   const calc = await decodeHandoff(new URLSearchParams(location.search).get('calc'), { key: 'shared-secret' });
+ *   if (calc && calc.verified) prefill(calc.inputs, calc.results);
+ *
+ * Format: "1.<payload>" or "1.<payload>.<signature>", where the payload is
+ * base64url JSON with the short keys of HANDOFF_KEYS, and the signature a
+ * base64url HMAC-SHA256 of "1.<payload>". The key ships with the widget and
+ * can be read from the page, so a valid signature shows the link was not
+ * edited by hand, not that it came from TecBlu.
+ */
+
+// Format version, the part before the first dot
+export const HANDOFF_VERSION = 1;
+
+// Query parameter of the quote URL holding the handoff
+export const HANDOFF_PARAM = 'calc';
+
+// Short keys of the payload (full name: short). createdAt is sent as Unix seconds.
+const HANDOFF_KEYS = {
+  type: 't',
+  country: 'co',
+  currency: 'cu',
+  lang: 'l',
+  createdAt: 'ts',
+  inputs: 'i',
+  results: 'r',
+  vehicles: 'v',
+  km: 'km',
+  consumption: 'c',
+  groups: 'g',
+  liters: 'hl',
+  price: 'p',
+  savings: 's',
+  fuel: 'f',
+  co2Basis: 'cb',
+  totalLiters: 'tl',
+  litersSaved: 'ls',
+  gross: 'gr',
+  tecCost: 'tc',
+  net: 'n',
+  perVehicle: 'pv',
+  costWithout: 'cwo',
+  costWith: 'cw',
+  co2: 'co2',
+  co2Factor: 'cf',
+  co2Source: 'cs'
+};
+
+/**
+ * Rename the keys of an object and its nested objects and arrays
+ * @param {*} value - Value
+ * @param {Object} names - Old key: new key; other keys are dropped
+ * @returns {*} Renamed copy
+ */
+function renameKeys(value, names) {
+  if (Array.isArray(value)) return value.map(item => renameKeys(item, names));
+  if (!value || typeof value !== 'object') return value;
+
+  const renamed = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (names[key] !== undefined) renamed[names[key]] = renameKeys(item, names);
+  });
+  return renamed;
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {string} binary - One character per byte
+ * @returns {string} base64url text
+ */
+function toBase64Url(binary) {
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text - base64url text, with or without padding
+ * @returns {string} One character per byte
+ */
+function fromBase64Url(text) {
+  return atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * Convert text to its UTF-8 bytes, one character per byte. Uses
+ * encodeURIComponent instead of TextEncoder, which older browsers lack.
+ * @param {string} text - Text
+ * @returns {string} UTF-8 bytes
+ */
+function utf8Encode(text) {
+  return encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Convert UTF-8 bytes back to text
+ * @param {string} bytes - UTF-8 bytes, one character per byte
+ * @returns {string} Text
+ */
+function utf8Decode(bytes) {
+  return decodeURIComponent(Array.from(bytes, char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+}
+
+/**
+ * Compute the HMAC-SHA256 of a text with the Web Crypto API
+ * @param {string} text - Signed text
+ * @param {string} key - Secret key
+ * @returns {Promise<string>} base64url signature
+ */
+function hmac(text, key) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle || typeof TextEncoder !== 'function') {
+    return Promise.reject(new Error('Web Crypto is not available (HTTPS pages only)'));
+  }
+  const encoder = new TextEncoder();
+
+  return subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    .then(cryptoKey => subtle.sign('HMAC', cryptoKey, encoder.encode(text)))
+    .then(signature => toBase64Url(String.fromCharCode(...new Uint8Array(signature))));
+}
+
+/**
+ * Encode a calculation for the quote URL
+ * @param {Object} data - { type, country, currency, lang, createdAt, inputs, results },
+ *   inputs and results as in buildExport (export.js); other fields are left out
+ * @returns {string} Unsigned handoff, "1.<payload>"
+ */
+export function encodeHandoff(data) {
+  const compact = renameKeys({ ...data, createdAt: Math.round(Date.parse(data.createdAt) / 1000) }, HANDOFF_KEYS);
+  return `${HANDOFF_VERSION}.${toBase64Url(utf8Encode(JSON.stringify(compact)))}`;
+}
+
+/**
+ * Sign an encoded handoff
+ * @param {string} encoded - Unsigned handoff from encodeHandoff
+ * @param {string} key - Secret key
+ * @returns {Promise<string>} Signed handoff, "1.<payload>.<signature>"
+ */
+export function signHandoff(encoded, key) {
+  return hmac(encoded, key).then(signature => `${encoded}.${signature}`);
+}
+
+/**
+ * Read a handoff without checking its signature
+ * @param {string} value - Handoff from the quote URL
+ * @returns {Object|null} { version, type, country, currency, lang, createdAt, inputs, results, signature },
+ *   or null if the value is not a handoff of this version
+ */
+export function parseHandoff(value) {
+  const parts = String(value || '').split('.');
+  if (parts.length < 2 || parts.length > 3 || parts[0] !== String(HANDOFF_VERSION)) return null;
+
+  try {
+    const fullNames = {};
+    Object.entries(HANDOFF_KEYS).forEach(([key, short]) => { fullNames[short] = key; });
+    const data = renameKeys(JSON.parse(utf8Decode(fromBase64Url(parts[1]))), fullNames);
+    if (!data.inputs || !data.results) return null;
+
+    return {
+      version: HANDOFF_VERSION,
+      ...data,
+      createdAt: new Date(data.createdAt * 1000).toISOString(),
+      signature: parts[2] || null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a handoff and check its signature
+ * @param {string} value - Handoff from the quote URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.key] - Secret key the widget signs with (data-handoff-key)
+ * @returns {Promise<Object|null>} Handoff as from parseHandoff with `verified`: true if the
+ *   signature matches the key, false if it is missing or wrong, or no key was given
+ */
+export function decodeHandoff(value, options = {}) {
+  const data = parseHandoff(value);
+  if (!data) return Promise.resolve(null);
+  if (!options.key || !data.signature) return Promise.resolve({ ...data, verified: false });
+
+  const signed = String(value).slice(0, String(value).lastIndexOf('.'));
+  return hmac(signed, options.key).then(
+    signature => ({ ...data, verified: signature === data.signature }),
+    () => ({ ...data, verified: false })
+  );
+}
@@ -0,0 +1,135 @@
+/**
+ * TecBlu Calculator - Input Validation
+ * Validates calculator inputs given as strings (data-* attributes, shared
+ * links) against LIMITS and the presets
+ */
+
+import { LIMITS, BUILDING_PRESETS, CONSUMPTION_PRESETS, MAX_FLEET_GROUPS, FUELS, CO2_BASES, priceLimits } from './engine.js';
+
+// Numeric inputs and the LIMITS they are validated against (prices: the country's priceLimits)
+const NUMERIC_INPUTS = {
+  vehicles: LIMITS.vehicles,
+  km: LIMITS.km,
+  dieselPrice: LIMITS.price,
+  dieselSavings: LIMITS.savings,
+  heatingLiters: LIMITS.heating,
+  heatingPrice: LIMITS.price,
+  heatingSavings: LIMITS.savings,
+  years: LIMITS.years,
+  priceEscalation: LIMITS.escalation,
+  discountRate: LIMITS.discount
+};
+
+// Tabs of the calculator
+export const TABS = ['diesel', 'heating'];
+
+/**
+ * Validate string input values. Only keys present in `values` are read;
+ * invalid ones are reported and left out of the result.
+ * @param {Object} values - String values keyed by input name (tab, vehicles, km, ...)
+ * @param {Function} reject - Called with (key, expected) for every invalid value
+ * @param {Object} [countryConfig] - Country the prices are validated for (default: LIMITS.price)
+ * @returns {Object} Valid inputs in the shape accepted by setInputs
+ */
+export function parseInputs(values, reject, countryConfig) {
+  const inputs = {};
+
+  if (values.tab !== undefined) {
+    if (TABS.includes(values.tab)) inputs.tab = values.tab;
+    else reject('tab', TABS.join(', '));
+  }
+
+  if (values.building !== undefined) {
+    if (BUILDING_PRESETS[values.building] !== undefined) inputs.building = values.building;
+    else reject('building', Object.keys(BUILDING_PRESETS).join(', '));
+  }
+
+  if (values.fuel !== undefined) {
+    if (FUELS.includes(values.fuel)) inputs.fuel = values.fuel;
+    else reject('fuel', FUELS.join(', '));
+  }
+
+  if (values.co2Basis !== undefined) {
+    if (CO2_BASES.includes(values.co2Basis)) inputs.co2Basis = values.co2Basis;
+    else reject('co2Basis', CO2_BASES.join(', '));
+  }
+
+  Object.entries(NUMERIC_INPUTS).forEach(([key, limits]) => {
+    if (values[key] === undefined) return;
+    const [min, max] = limits === LIMITS.price ? priceLimits(countryConfig) : limits;
+    const v = String(values[key]).trim() === '' ? NaN : Number(values[key]);
+    if (Number.isFinite(v) && v >= min && v <= max) inputs[key] = v;
+    else reject(key, `a number from ${min} to ${max}`);
+  });
+
+  if (values.consumption !== undefined) {
+    const v = parseConsumption(values.consumption);
+    if (v !== null) inputs.consumption = v;
+    else reject('consumption', `${Object.keys(CONSUMPTION_PRESETS).join(', ')} or a number from ${LIMITS.cons[0]} to ${LIMITS.cons[1]}`);
+  }
+
+  // Mixed fleet, either compact ("8*120000*truck;15*40000*van") or an array of groups
+  if (values.groups !== undefined && values.groups !== null) {
+    const groups = parseGroups(values.groups);
+    if (groups) inputs.groups = groups;
+    else reject('groups', `up to ${MAX_FLEET_GROUPS} groups like 8*120000*truck;15*40000*12 (vehicles*km*consumption)`);
+  }
+
+  return inputs;
+}
+
+/**
+ * Validate a consumption value
+ * @param {string|number} value - Preset name or L/100km
+ * @returns {string|number|null} Preset name, number, or null if invalid
+ */
+function parseConsumption(value) {
+  if (CONSUMPTION_PRESETS[value] !== undefined) return value;
+  const v = String(value).trim() === '' ? NaN : Number(value);
+  return v >= LIMITS.cons[0] && v <= LIMITS.cons[1] ? v : null;
+}
+
+/**
+ * Validate vehicle groups. Every row must be within LIMITS.
+ * @param {string|Object[]} value - Compact string or array of { vehicles, km, consumption }
+ * @returns {Object[]|null} Groups, or null if any row is invalid
+ */
+function parseGroups(value) {
+  const rows = Array.isArray(value)
+    ? value
+    : String(value).split(';').map(row => {
+      const [vehicles, km, consumption] = row.split('*');
+      return { vehicles, km, consumption };
+    });
+  if (!rows.length || rows.length > MAX_FLEET_GROUPS) return null;
+
+  const inRange = (v, [min, max]) => String(v).trim() !== '' && Number(v) >= min && Number(v) <= max;
+  const groups = rows.map(row => {
+    if (!row || !inRange(row.vehicles, LIMITS.vehicles) || !inRange(row.km, LIMITS.km)) return null;
+    const consumption = row.consumption === undefined ? null : parseConsumption(row.consumption);
+    return consumption === null ? null : { vehicles: Number(row.vehicles), km: Number(row.km), consumption };
+  });
+  return groups.includes(null) ? null : groups;
+}
+
+/**
+ * Format vehicle groups in the compact form read by parseInputs
+ * @param {Object[]} groups - Groups of { vehicles, km, consumption }
+ * @returns {string} e.g. "8*120000*truck;15*40000*van"
+ */
+export function formatGroups(groups) {
+  const format = v => (typeof v === 'number' ? Number(v.toFixed(2)) : v);
+  return groups
+    .map(g => [g.vehicles, g.km, consumptionKey(g.consumption)].map(format).join('*'))
+    .join(';');
+}
+
+/**
+ * Get the preset name for a consumption value, or the value itself
+ * @param {number} consumption - Consumption in L/100km
+ * @returns {string|number} Preset name (truck, van, ...) or the number
+ */
+export function consumptionKey(consumption) {
+  const preset = Object.keys(CONSUMPTION_PRESETS).find(key => CONSUMPTION_PRESETS[key] === consumption);
+  return preset || consumption;
+}
@@ -0,0 +1,96 @@
+/**
+ * TecBlu Calculator - Lead Capture
+ * Validates the inline quote request form and posts it, together with a
+ * snapshot of the calculation (see buildExport in export.js), to a lead
+ * endpoint. The endpoint receives JSON:
+ *
+ *   {
+ *     "version": 1,
+ *     "lead": { "name": "…", "company": "…", "email": "…", "phone": "…", "fleetSize": 12, "consent": true },
+ *     "calculation": { "version": 1, "type": "diesel", "inputs": {…}, "results": {…}, … },
+ *     "context": { "lang": "de", "country": "CH", "page": "https://tecblu.ch/…" }
+ *   }
+ *
+ * and answers with any 2xx status on success. `node mock-lead-server.js`
+ * runs a local endpoint for testing.
+ */
+
+// Bump when the payload changes shape
+export const LEAD_VERSION = 1;
+
+// How long to wait for the endpoint (ms)
+const LEAD_TIMEOUT_MS = 15000;
+
+// Form fields: required, maximum length and format (error key in lead.errors)
+export const LEAD_FIELDS = {
+  name: { required: true, maxLength: 100 },
+  company: { required: false, maxLength: 100 },
+  email: { required: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, error: 'email' },
+  phone: { required: false, maxLength: 30, pattern: /^\+?[\d\s()/.-]{6,}$/, error: 'phone' },
+  fleetSize: { required: false, maxLength: 6, pattern: /^[1-9]\d*$/, error: 'fleetSize' }
+};
+
+/**
+ * Validate the form values
+ * @param {Object} values - Field values as strings, and consent as boolean
+ * @returns {Object} { lead, errors }: the trimmed lead (fleetSize as number), and the
+ *   error key per invalid field ('required', 'email', 'phone', 'fleetSize', 'consent')
+ */
+export function validateLead(values) {
+  const lead = {};
+  const errors = {};
+
+  Object.entries(LEAD_FIELDS).forEach(([field, spec]) => {
+    const value = String(values[field] || '').trim();
+    if (!value) {
+      if (spec.required) errors[field] = 'required';
+      return;
+    }
+    if (value.length > spec.maxLength || (spec.pattern && !spec.pattern.test(value))) {
+      errors[field] = spec.error || 'required';
+      return;
+    }
+    lead[field] = field === 'fleetSize' ? parseInt(value, 10) : value;
+  });
+
+  if (values.consent !== true) errors.consent = 'consent';
+  else lead.consent = true;
+
+  return { lead, errors };
+}
+
+/**
+ * Build the payload posted to the lead endpoint
+ * @param {Object} lead - Valid lead from validateLead
+ * @param {Object} calculation - Export of the results (see buildExport)
+ * @param {Object} context - { lang, country, page }
+ * @returns {Object} Payload
+ */
+export function buildLeadPayload(lead, calculation, context) {
+  return { version: LEAD_VERSION, lead, calculation, context };
+}
+
+/**
+ * Post a lead to the endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} payload - Payload from buildLeadPayload
+ * @returns {Promise<void>} Resolves on a 2xx answer; rejects on network errors, timeouts and other statuses
+ */
+export function submitLead(url, payload) {
+  if (typeof window.fetch !== 'function') return Promise.reject(new Error('fetch is not available'));
+
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), LEAD_TIMEOUT_MS) : null;
+
+  return window.fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    credentials: 'omit',
+    signal: controller ? controller.signal : undefined
+  })
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    })
+    .finally(() => clearTimeout(timer));
+}
@@ -3,30 +3,15 @@
  * Handles language detection and translation application
  */
 
-// URL patterns for language detection
-const URL_PATTERNS = {
-  de: [/^tecblu\.(ch|at|de)$/],
-  en: [/^en\.tecblu\.(ch|at|de|fr|it)$/],
-  fr: [/^fr\.tecblu\.ch$/, /^tecblu\.fr$/],
-  it: [/^it\.tecblu\.ch$/, /^tecblu\.it$/]
-};
+import { COUNTRY_CONFIG, findMarket } from './markets.js';
 
 // Supported languages
 const SUPPORTED_LANGS = ['de', 'en', 'fr', 'it'];
 
-// Country configuration
-export const COUNTRY_CONFIG = {
-  CH: { currency: 'CHF', tecCost: 0.0463, dieselPrice: 1.95, heatingPrice: 1.35, locale: 'de-CH' },
-  DE: { currency: 'EUR', tecCost: 0.049,  dieselPrice: 1.60, heatingPrice: 1.30, locale: 'de-DE' },
-  AT: { currency: 'EUR', tecCost: 0.049,  dieselPrice: 1.60, heatingPrice: 1.30, locale: 'de-AT' },
-  FR: { currency: 'EUR', tecCost: 0.049,  dieselPrice: 1.60, heatingPrice: 1.30, locale: 'fr-FR' },
-  IT: { currency: 'EUR', tecCost: 0.058,  dieselPrice: 1.60, heatingPrice: 1.30, locale: 'it-IT' }
-};
-
 /**
  * Detect country based on:
  * 1. URL parameter (?country=XX) - for testing
- * 2. Hostname pattern matching
+ * 2. Hostname of a market site (see markets.js)
  * 3. Fallback to Switzerland (CH)
  */
 export function detectCountry() {
@@ -37,48 +22,48 @@ export function detectCountry() {
     return countryParam.toUpperCase();
   }
 
-  // 2. Check hostname patterns
-  const hostname = window.location.hostname;
-  if (hostname.includes('tecblu.de')) return 'DE';
-  if (hostname.includes('tecblu.at')) return 'AT';
-  if (hostname.includes('tecblu.fr')) return 'FR';
-  if (hostname.includes('tecblu.it')) return 'IT';
+  // 2. Check market hostnames
+  const market = findMarket(window.location.hostname);
+  if (market) return market;
 
   // 3. Default to Switzerland
   return 'CH';
 }
 
 /**
- * Get quote URL based on hostname
- * @param {Object} translations - All translations object {de: {...}, en: {...}, fr: {...}, it: {...}}
+ * Get the language of the current site: a language subdomain (en.tecblu.de,
+ * fr.tecblu.ch), else the language of the market's site
+ * @returns {string|null} Language code, or null for other sites
  */
-export function getQuoteUrl(translations) {
+function detectSiteLanguage() {
   const hostname = window.location.hostname;
+  const market = findMarket(hostname);
+  if (!market) return null;
 
-  // English subdomains get English URL
-  if (hostname === 'en.tecblu.de' || hostname === 'en.tecblu.fr' ||
-      hostname === 'en.tecblu.it' || hostname === 'en.tecblu.at') {
-    return translations?.en?.cta?.quoteUrl || '/get-a-quote';
-  }
-
-  // French domain gets French URL
-  if (hostname === 'tecblu.fr') {
-    return translations?.fr?.cta?.quoteUrl || '/demande-de-devis';
-  }
+  const subdomain = hostname.split('.')[0];
+  return SUPPORTED_LANGS.includes(subdomain) ? subdomain : COUNTRY_CONFIG[market].lang;
+}
 
-  // Italian domain gets Italian URL
-  if (hostname === 'tecblu.it') {
-    return translations?.it?.cta?.quoteUrl || '/richiedi-preventivo';
+/**
+ * Get quote URL based on hostname
+ * @param {Object} translations - All translations object {de: {...}, en: {...}, fr: {...}, it: {...}}
+ */
+export function getQuoteUrl(translations) {
+  const market = findMarket(window.location.hostname);
+  if (market && COUNTRY_CONFIG[market].quoteUrl) {
+    return COUNTRY_CONFIG[market].quoteUrl;
   }
 
-  // Default: German URL (tecblu.ch, tecblu.de, tecblu.at, and all Swiss subdomains)
-  return translations?.de?.cta?.quoteUrl || '/offerte-einholen';
+  // English subdomains get the English URL. Other language subdomains of a
+  // market site are translated copies of its pages, so they keep its URL.
+  const lang = detectSiteLanguage() === 'en' ? 'en' : (market ? COUNTRY_CONFIG[market].lang : 'de');
+  return translations?.[lang]?.cta?.quoteUrl || translations?.de?.cta?.quoteUrl || '/offerte-einholen';
 }
 
 /**
  * Detect language based on:
  * 1. URL parameter (?lang=xx) - for testing
- * 2. Hostname pattern matching
+ * 2. Hostname of a market site
  * 3. Fallback to German (de)
  */
 export function detectLanguage() {
@@ -89,16 +74,9 @@ export function detectLanguage() {
     return langParam;
   }
 
-  // 2. Check hostname patterns
-  const hostname = window.location.hostname;
-  for (const [lang, patterns] of Object.entries(URL_PATTERNS)) {
-    if (patterns.some(p => p.test(hostname))) {
-      return lang;
-    }
-  }
-
+  // 2. Check hostname
   // 3. Default to German
-  return 'de';
+  return detectSiteLanguage() || 'de';
 }
 
 /**
@@ -107,14 +85,15 @@ export function detectLanguage() {
  * @param {string} path - Dot notation path (e.g., "header.title")
  * @returns {string|undefined} The value or undefined if not found
  */
-function getNestedValue(obj, path) {
+export function getNestedValue(obj, path) {
   return path.split('.').reduce((current, key) => {
     return current && current[key] !== undefined ? current[key] : undefined;
   }, obj);
 }
 
 /**
- * Apply translations to all elements with data-i18n attribute
+ * Apply translations to all elements with data-i18n attribute, and the
+ * accessible names of elements with data-i18n-label (icon-only controls)
  * @param {HTMLElement} container - The container element
  * @param {Object} translations - The translation object
  */
@@ -126,7 +105,8 @@ export function applyTranslations(container, translations) {
     const key = el.getAttribute('data-i18n');
     const translation = getNestedValue(translations, key);
 
-    if (translation) {
+    // Empty strings are valid translations (e.g. cta.textBefore in German)
+    if (typeof translation === 'string') {
       // Handle special cases
       if (el.tagName === 'OPTION') {
         el.textContent = translation;
@@ -162,57 +142,13 @@ export function applyTranslations(container, translations) {
     }
   });
 
+  container.querySelectorAll('[data-i18n-label]').forEach(el => {
+    const label = getNestedValue(translations, el.getAttribute('data-i18n-label'));
+    if (typeof label === 'string') el.setAttribute('aria-label', label);
+  });
+
   // Store translations reference for dynamic updates
   container._tecTranslations = translations;
 }
 
-/**
- * Format currency value
- * @param {number} value - The number to format
- * @param {string} currency - Currency code (default: CHF)
- * @param {string} lang - Language code for locale
- * @returns {string} Formatted currency string
- */
-export function formatCurrency(value, currency = 'CHF', lang = 'de') {
-  const rounded = Math.round(Math.min(value, 999999999999));
-
-  if (currency === 'EUR') {
-    // European format: 1.234,00 €
-    const formatted = new Intl.NumberFormat('de-DE', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(rounded);
-    return `${formatted} €`;
-  }
-
-  // CHF format: CHF 1'234.–
-  const formatted = new Intl.NumberFormat('de-CH', {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(rounded);
-  return `CHF ${formatted}.–`;
-}
-
-/**
- * Format number with locale
- * @param {number} value - The number to format
- * @param {number} decimals - Decimal places
- * @param {string} lang - Language code
- * @returns {string} Formatted number
- */
-export function formatNumber(value, decimals = 0, lang = 'de') {
-  const localeMap = {
-    de: 'de-CH',
-    en: 'en-CH',
-    fr: 'fr-CH',
-    it: 'it-CH'
-  };
-
-  const locale = localeMap[lang] || 'de-CH';
-  return new Intl.NumberFormat(locale, {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals
-  }).format(Math.min(value, 999999999999));
-}
-
 export { SUPPORTED_LANGS };
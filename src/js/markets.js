@@ -0,0 +1,127 @@
+/**
+ * TecBlu Calculator - Market Registry
+ * One entry per country the widget is sold in. Adding a market only needs an
+ * entry here (and optionally one in the pricing feed):
+ *
+ *   currency     - ISO 4217 code, formatted with Intl.NumberFormat
+ *   locale       - Locale for currency formatting
+ *   lang         - Language of the market's own site (de, en, fr, it)
+ *   tecCost      - TecBlu cost per liter
+ *   dieselPrice  - Default fuel price per liter
+ *   heatingPrice - Default heating oil price per liter
+ *   priceLimits  - [min, max] price per liter (default: LIMITS.price, for EUR/CHF)
+ *   priceStep    - Step of the price +/- buttons (default: 0.05)
+ *   quoteUrl     - Quote page path on every site of the market, language subdomains
+ *                  included (default: cta.quoteUrl of the site language)
+ *   phone        - Phone number shown below the quote button (optional, markets
+ *                  without a number of their own hide the line)
+ *   hostnames    - Sites of the market; subdomains (www., fr., en., ...) match too
+ *   heating      - Tables of the heating oil estimate (see estimateHeatingLiters in engine.js):
+ *                  ages and ratings (heat demand in kWh per m² and year by construction year
+ *                  and energy class), hdd (heating degree days the demand applies to) and
+ *                  regions (heating degree days per climate region, in the market's own
+ *                  convention); without it the estimate is not offered
+ */
+
+// Heat demand by construction year (built up to `until`, the last band is
+// open-ended). Typical values for oil-heated buildings at the market's
+// reference climate.
+const BUILDING_AGES = [
+  { until: 1949, demand: 190 },
+  { until: 1979, demand: 170 },
+  { until: 1999, demand: 125 },
+  { until: 2009, demand: 90 },
+  { demand: 60 }
+];
+
+// Heat demand by energy class: A-G certificates (GEAK, DPE, APE, EPC, PENB, ...)
+const RATINGS_A_G = { A: 40, B: 70, C: 100, D: 135, E: 170, F: 210, G: 260 };
+
+// Energieausweis (DE), final energy
+const RATINGS_DE = { 'A+': 25, A: 40, B: 62, C: 87, D: 115, E: 145, F: 180, G: 225, H: 280 };
+
+// Energieausweis (AT), heating demand HWB
+const RATINGS_AT = { 'A++': 10, 'A+': 15, A: 22, B: 40, C: 75, D: 125, E: 175, F: 225, G: 280 };
+
+export const COUNTRY_CONFIG = {
+  CH: {
+    currency: 'CHF', locale: 'de-CH', lang: 'de',
+    tecCost: 0.0463, dieselPrice: 1.95, heatingPrice: 1.35,
+    quoteUrl: '/offerte-einholen', phone: '+41 43 888 00 12', hostnames: ['tecblu.ch'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 3400, regions: { mild: 2800, average: 3400, cool: 3900, alpine: 4800 } }
+  },
+  DE: {
+    currency: 'EUR', locale: 'de-DE', lang: 'de',
+    tecCost: 0.049, dieselPrice: 1.60, heatingPrice: 1.30,
+    hostnames: ['tecblu.de'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_DE, hdd: 3800, regions: { mild: 3400, average: 3800, cool: 4200, alpine: 4700 } }
+  },
+  AT: {
+    currency: 'EUR', locale: 'de-AT', lang: 'de',
+    tecCost: 0.049, dieselPrice: 1.60, heatingPrice: 1.30,
+    hostnames: ['tecblu.at'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_AT, hdd: 3600, regions: { mild: 3300, average: 3600, cool: 4100, alpine: 4900 } }
+  },
+  FR: {
+    currency: 'EUR', locale: 'fr-FR', lang: 'fr',
+    tecCost: 0.049, dieselPrice: 1.60, heatingPrice: 1.30,
+    hostnames: ['tecblu.fr'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 2200, regions: { warm: 1400, mild: 1900, average: 2200, cool: 2600, alpine: 3400 } }
+  },
+  IT: {
+    currency: 'EUR', locale: 'it-IT', lang: 'it',
+    tecCost: 0.058, dieselPrice: 1.60, heatingPrice: 1.30,
+    hostnames: ['tecblu.it'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 1750, regions: { warm: 800, mild: 1200, average: 1750, cool: 2500, cold: 3300 } }
+  },
+  LI: {
+    currency: 'CHF', locale: 'de-LI', lang: 'de',
+    tecCost: 0.0463, dieselPrice: 1.95, heatingPrice: 1.35,
+    hostnames: ['tecblu.li'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 3500, regions: { average: 3500, alpine: 4600 } }
+  },
+  LU: {
+    currency: 'EUR', locale: 'fr-LU', lang: 'fr',
+    tecCost: 0.049, dieselPrice: 1.45, heatingPrice: 1.05,
+    hostnames: ['tecblu.lu'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 3200, regions: { average: 3200, cool: 3600 } }
+  },
+  BE: {
+    currency: 'EUR', locale: 'fr-BE', lang: 'fr',
+    tecCost: 0.049, dieselPrice: 1.70, heatingPrice: 1.05,
+    hostnames: ['tecblu.be'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 2400, regions: { mild: 2200, average: 2400, cool: 2900 } }
+  },
+  NL: {
+    currency: 'EUR', locale: 'nl-NL', lang: 'en',
+    tecCost: 0.049, dieselPrice: 1.75, heatingPrice: 1.30,
+    hostnames: ['tecblu.nl'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 2900, regions: { mild: 2700, average: 2900, cool: 3100 } }
+  },
+  PL: {
+    currency: 'PLN', locale: 'pl-PL', lang: 'en',
+    tecCost: 0.21, dieselPrice: 6.10, heatingPrice: 4.60,
+    priceLimits: [2, 20], priceStep: 0.1,
+    hostnames: ['tecblu.pl'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 3900, regions: { mild: 3500, average: 3900, cool: 4200, cold: 4600, alpine: 5000 } }
+  },
+  CZ: {
+    currency: 'CZK', locale: 'cs-CZ', lang: 'en',
+    tecCost: 1.20, dieselPrice: 35.00, heatingPrice: 28.00,
+    priceLimits: [10, 100], priceStep: 0.5,
+    hostnames: ['tecblu.cz'],
+    heating: { ages: BUILDING_AGES, ratings: RATINGS_A_G, hdd: 3600, regions: { mild: 3300, average: 3600, cool: 4000, alpine: 4600 } }
+  }
+};
+
+/**
+ * Find the market whose site the hostname belongs to
+ * @param {string} hostname - Hostname, e.g. "fr.tecblu.ch"
+ * @returns {string|null} Country code, or null for other sites
+ */
+export function findMarket(hostname) {
+  const code = Object.keys(COUNTRY_CONFIG).find(key => {
+    return COUNTRY_CONFIG[key].hostnames.some(host => hostname === host || hostname.endsWith('.' + host));
+  });
+  return code || null;
+}
@@ -0,0 +1,134 @@
+/**
+ * TecBlu Calculator - Pricing Feed
+ * Loads fuel prices and TecBlu costs from a JSON document, so prices can change
+ * without a rebuild. Falls back to the bundled COUNTRY_CONFIG when the feed is
+ * missing, unreachable or invalid. Format (see pricing.json):
+ *
+ *   {
+ *     "version": 1,
+ *     "countries": {
+ *       "CH": { "currency": "CHF", "tecCost": 0.0463, "dieselPrice": 1.95, "heatingPrice": 1.35, "asOf": "2026-01-31" }
+ *     }
+ *   }
+ */
+
+import { priceLimits } from './engine.js';
+import { COUNTRY_CONFIG } from './markets.js';
+
+// Feed format versions this build understands
+export const PRICING_VERSION = 1;
+
+// How long a loaded feed is reused from localStorage (ms)
+const PRICING_CACHE_MS = 6 * 60 * 60 * 1000;
+
+// Prefix of the localStorage cache keys (followed by the feed URL)
+const PRICING_CACHE_PREFIX = 'tecblu-pricing:';
+
+// Feeds loaded on this page, shared by all calculators (URL -> Promise)
+const pricingRequests = {};
+
+/**
+ * Validate a pricing document. Invalid countries are left out with a warning.
+ * @param {Object} doc - Parsed JSON document
+ * @returns {Object|null} Valid entries keyed by country code, or null if the document is unusable
+ */
+export function validatePricing(doc) {
+  if (!doc || typeof doc !== 'object' || doc.version !== PRICING_VERSION) {
+    console.warn(`TecBlu Calculator: Pricing feed must have "version": ${PRICING_VERSION}`);
+    return null;
+  }
+  if (!doc.countries || typeof doc.countries !== 'object') {
+    console.warn('TecBlu Calculator: Pricing feed has no "countries"');
+    return null;
+  }
+
+  const inRange = (v, [min, max]) => typeof v === 'number' && v >= min && v <= max;
+  const countries = {};
+  Object.entries(doc.countries).forEach(([code, entry]) => {
+    // Only markets of this build (see markets.js), in their currency, with prices in their limits
+    const limits = priceLimits(COUNTRY_CONFIG[code]);
+    const valid = COUNTRY_CONFIG[code] !== undefined &&
+      entry && typeof entry === 'object' &&
+      entry.currency === COUNTRY_CONFIG[code].currency &&
+      inRange(entry.tecCost, [0.0001, limits[1]]) &&
+      inRange(entry.dieselPrice, limits) &&
+      inRange(entry.heatingPrice, limits) &&
+      /^\d{4}-\d{2}-\d{2}$/.test(entry.asOf) && !isNaN(Date.parse(entry.asOf));
+
+    if (valid) {
+      const { currency, tecCost, dieselPrice, heatingPrice, asOf } = entry;
+      countries[code] = { currency, tecCost, dieselPrice, heatingPrice, asOf };
+    } else {
+      console.warn(`TecBlu Calculator: Ignoring invalid pricing feed entry "${code}"`);
+    }
+  });
+
+  return Object.keys(countries).length ? countries : null;
+}
+
+/**
+ * Load a pricing feed. Each URL is fetched once per page and reused from
+ * localStorage for PRICING_CACHE_MS.
+ * @param {string} url - Feed URL
+ * @returns {Promise<Object|null>} Valid entries keyed by country code, or null to use the bundled prices
+ */
+export function loadPricing(url) {
+  if (!pricingRequests[url]) {
+    const cached = readPricingCache(url);
+    pricingRequests[url] = cached
+      ? Promise.resolve(cached)
+      : fetchPricing(url).then(countries => {
+        if (countries) writePricingCache(url, countries);
+        return countries;
+      });
+  }
+  return pricingRequests[url];
+}
+
+/**
+ * Fetch and validate a pricing feed
+ * @param {string} url - Feed URL
+ * @returns {Promise<Object|null>} Valid entries, or null on any failure
+ */
+function fetchPricing(url) {
+  if (typeof window.fetch !== 'function') return Promise.resolve(null);
+
+  return window.fetch(url, { credentials: 'omit' })
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(validatePricing)
+    .catch(err => {
+      console.warn(`TecBlu Calculator: Could not load pricing feed ${url}, using bundled prices (${err.message})`);
+      return null;
+    });
+}
+
+/**
+ * Read a cached feed that has not expired
+ * @param {string} url - Feed URL
+ * @returns {Object|null} Cached entries
+ */
+function readPricingCache(url) {
+  try {
+    const entry = JSON.parse(window.localStorage.getItem(PRICING_CACHE_PREFIX + url));
+    if (!entry || Date.now() - entry.loadedAt > PRICING_CACHE_MS) return null;
+    return validatePricing({ version: PRICING_VERSION, countries: entry.countries });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Cache a loaded feed
+ * @param {string} url - Feed URL
+ * @param {Object} countries - Valid entries
+ */
+function writePricingCache(url, countries) {
+  try {
+    window.localStorage.setItem(PRICING_CACHE_PREFIX + url, JSON.stringify({ loadedAt: Date.now(), countries }));
+  } catch (e) {
+    // Storage blocked or full; the feed is loaded again on the next visit
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * TecBlu Calculator - Savings Report
+ * Writes a one-column A4 savings report as a PDF file in the browser, without
+ * a server or PDF library, or as plain text. Uses the PDF standard fonts
+ * (Helvetica), so the file needs no embedded fonts and works offline.
+ * Importable from Node:
+ *
+ *   import { renderReportPdf } from './src/js/report.js';
+ *   const bytes = renderReportPdf({ title: 'TecBlu', primaryLabel: 'Net savings', primaryValue: 'CHF 11’546.–', sections: [] });
+ */
+
+// A4 in points
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 50 };
+
+// Colors of the widget (see calculator.css), as PDF RGB
+const PDF_COLORS = {
+  brand: [0.145, 0.635, 0.714],
+  green: [0.502, 0.675, 0.459],
+  text: [0.176, 0.216, 0.282],
+  muted: [0.392, 0.455, 0.545],
+  line: [0.925, 0.941, 0.953],
+  white: [1, 1, 1]
+};
+
+// Characters of the standard fonts' WinAnsiEncoding outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Characters the standard fonts lack, with a stand-in
+const PDF_REPLACEMENTS = {
+  '\u202f': ' ', '\u2009': ' ', '₂': '2', 'ł': 'l', 'Ł': 'L', '−': '-'
+};
+
+/**
+ * Encode text for a PDF string in WinAnsiEncoding. Letters outside it lose
+ * their accents (č -> c), other characters become "?".
+ * @param {string} text - Text
+ * @returns {string} Escaped string content, one char per byte
+ */
+function pdfString(text) {
+  return Array.from(String(text)).map(char => {
+    char = PDF_REPLACEMENTS[char] || char;
+    let code = char.charCodeAt(0);
+    if (WIN_ANSI[char]) code = WIN_ANSI[char];
+    else if (code > 0xff) {
+      const base = char.normalize('NFD')[0];
+      code = base.charCodeAt(0) <= 0xff ? base.charCodeAt(0) : 0x3f;
+    }
+    if (code < 0x20) return ' ';
+    const byte = String.fromCharCode(code);
+    return byte === '(' || byte === ')' || byte === '\\' ? '\\' + byte : byte;
+  }).join('');
+}
+
+/**
+ * Split text into lines that fit a width, estimated from Helvetica's average
+ * character width
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {number} width - Available width in points
+ * @returns {string[]} Lines
+ */
+function wrapText(text, size, width) {
+  const maxChars = Math.floor(width / (size * 0.5));
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).forEach(word => {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? line + ' ' + word : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Create a page layout: drawing operations per page and a cursor that moves
+ * down the page, starting a new page when the content does not fit
+ * @returns {Object} Layout with pages, y and the drawing functions
+ */
+function createLayout() {
+  const layout = {
+    pages: [[]],
+    y: PDF_PAGE.height - PDF_PAGE.margin,
+    ops: () => layout.pages[layout.pages.length - 1],
+    ensure: height => {
+      if (layout.y - height >= PDF_PAGE.margin) return;
+      layout.pages.push([]);
+      layout.y = PDF_PAGE.height - PDF_PAGE.margin;
+    },
+    text: (x, y, str, { size = 10, bold = false, color = PDF_COLORS.text } = {}) => {
+      layout.ops().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color.join(' ')} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${pdfString(str)}) Tj ET`);
+    },
+    rect: (x, y, w, h, color) => {
+      layout.ops().push(`${color.join(' ')} rg ${x.toFixed(2)} ${y.toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+    }
+  };
+  return layout;
+}
+
+/**
+ * Write a savings report as a PDF file
+ * @param {Object} report - Report content, all texts already translated and formatted
+ * @param {string} report.title - Title in the header bar
+ * @param {string} [report.subtitle] - Line below the title
+ * @param {string} report.primaryLabel - Label of the headline figure
+ * @param {string} report.primaryValue - Headline figure (annual net savings)
+ * @param {Object[]} report.sections - [{ heading, rows: [[label, value]] }]
+ * @param {Object} [report.comparison] - { heading, rows: [{ label, value, share }] }, share (0-1) is the bar length
+ * @param {string[]} [report.notes] - Small print: date, pricing basis, CO₂ factors, disclaimer
+ * @returns {Uint8Array} PDF file
+ */
+export function renderReportPdf(report) {
+  const { width, height, margin } = PDF_PAGE;
+  const layout = createLayout();
+  const contentWidth = width - 2 * margin;
+  const valueX = margin + contentWidth * 0.5;
+
+  // Header bar
+  layout.rect(0, height - 100, width, 100, PDF_COLORS.brand);
+  layout.text(margin, height - 52, report.title, { size: 22, bold: true, color: PDF_COLORS.white });
+  if (report.subtitle) layout.text(margin, height - 74, report.subtitle, { size: 11, color: PDF_COLORS.white });
+  layout.y = height - 140;
+
+  // Headline figure
+  layout.text(margin, layout.y, report.primaryLabel, { size: 11, color: PDF_COLORS.muted });
+  layout.text(margin, layout.y - 32, report.primaryValue, { size: 28, bold: true, color: PDF_COLORS.green });
+  layout.y -= 64;
+
+  const heading = text => {
+    layout.ensure(44);
+    layout.text(margin, layout.y, text, { size: 13, bold: true, color: PDF_COLORS.brand });
+    layout.rect(margin, layout.y - 7, contentWidth, 1, PDF_COLORS.line);
+    layout.y -= 26;
+  };
+
+  report.sections.forEach(section => {
+    heading(section.heading);
+    section.rows.forEach(([label, value]) => {
+      layout.ensure(18);
+      layout.text(margin, layout.y, label);
+      layout.text(valueX, layout.y, value, { bold: true });
+      layout.y -= 18;
+    });
+    layout.y -= 14;
+  });
+
+  // Cost comparison with bars
+  if (report.comparison) {
+    heading(report.comparison.heading);
+    const barX = margin + contentWidth * 0.3;
+    const barWidth = contentWidth * 0.45;
+    report.comparison.rows.forEach((row, i) => {
+      layout.ensure(22);
+      layout.text(margin, layout.y, row.label);
+      layout.rect(barX, layout.y - 2, barWidth, 10, PDF_COLORS.line);
+      layout.rect(barX, layout.y - 2, barWidth * Math.max(0, Math.min(1, row.share)), 10, i ? PDF_COLORS.green : PDF_COLORS.muted);
+      layout.text(barX + barWidth + 12, layout.y, row.value, { bold: true });
+      layout.y -= 22;
+    });
+    layout.y -= 14;
+  }
+
+  // Small print
+  (report.notes || []).forEach(note => {
+    wrapText(note, 8.5, contentWidth).forEach(line => {
+      layout.ensure(12);
+      layout.text(margin, layout.y, line, { size: 8.5, color: PDF_COLORS.muted });
+      layout.y -= 12;
+    });
+    layout.y -= 4;
+  });
+
+  return writePdf(layout.pages, report.title);
+}
+
+/**
+ * Write a savings report as plain text, e.g. for CRM notes
+ * @param {Object} report - Report content, as for renderReportPdf
+ * @returns {string} Text with one "label: value" line per row
+ */
+export function renderReportText(report) {
+  const lines = [report.subtitle ? `${report.title} – ${report.subtitle}` : report.title, ''];
+  lines.push(`${report.primaryLabel}: ${report.primaryValue}`);
+  report.sections.forEach(section => {
+    lines.push('', section.heading);
+    section.rows.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  });
+  if (report.comparison) {
+    lines.push('', report.comparison.heading);
+    report.comparison.rows.forEach(row => lines.push(`${row.label}: ${row.value}`));
+  }
+  if (report.notes && report.notes.length) lines.push('', ...report.notes);
+  return lines.join('\n');
+}
+
+/**
+ * Assemble the PDF objects, cross-reference table and trailer
+ * @param {string[][]} pages - Drawing operations per page
+ * @param {string} title - Document title
+ * @returns {Uint8Array} PDF file
+ */
+function writePdf(pages, title) {
+  // Objects 1-5 are fixed; each page adds a page and a content object from 6 on
+  const firstPage = 6;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${firstPage + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${pdfString(title)}) /Producer (TecBlu Calculator) >>`
+  ];
+  pages.forEach((ops, i) => {
+    const content = ops.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${firstPage + 1 + i * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Every character is one byte, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Let the browser save a file generated on the page
+ * @param {Uint8Array|string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
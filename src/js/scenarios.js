@@ -0,0 +1,109 @@
+/**
+ * TecBlu Calculator - Scenarios
+ * Named snapshots of the inputs and results, so visitors can compare "only
+ * trucks" against "trucks plus vans", or 7 % against 10 % savings. Each tab
+ * keeps its own scenarios; one of them is the baseline the others are
+ * compared against. Importable from Node:
+ *
+ *   import { createScenario, compareScenarios } from './src/js/scenarios.js';
+ *   const a = createScenario('Trucks', inputs, computeFuelSavings(...), 'CH');
+ *   compareScenarios([a, b], 'diesel');   // rows with the differences to a
+ */
+
+// Scenarios kept per tab
+export const MAX_SCENARIOS = 5;
+
+// Compared figures of a result (see computeFuelSavings): net savings, liters
+// saved, CO₂ reduced (tonnes) and the TecBlu cost (investment)
+export const SCENARIO_METRICS = ['net', 'litersSaved', 'co2', 'tecCost'];
+
+// Figures in the scenario's currency, not comparable across currencies
+const MONEY_METRICS = ['net', 'tecCost'];
+
+// Longest scenario name
+export const MAX_NAME_LENGTH = 40;
+
+/**
+ * Snapshot the current calculation as a scenario
+ * @param {string} name - Scenario name
+ * @param {Object} inputs - Inputs as returned by getInputs
+ * @param {Object} result - Calculation result (getResults)
+ * @param {string} country - Country code
+ * @returns {Object} { id, name, type, country, currency, createdAt, baseline, inputs, results }
+ */
+export function createScenario(name, inputs, result, country) {
+  const results = {};
+  SCENARIO_METRICS.forEach(metric => {
+    results[metric] = result[metric];
+  });
+
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: String(name).trim().slice(0, MAX_NAME_LENGTH),
+    type: result.type,
+    country,
+    currency: result.currency,
+    createdAt: new Date().toISOString(),
+    baseline: false,
+    inputs: { ...inputs, tab: result.type },
+    results
+  };
+}
+
+/**
+ * Make a scenario the baseline of its tab
+ * @param {Object[]} scenarios - Scenarios
+ * @param {string} id - ID of the new baseline
+ * @returns {Object[]} Scenarios with the baseline moved
+ */
+export function setBaseline(scenarios, id) {
+  const target = scenarios.find(scenario => scenario.id === id);
+  if (!target) return scenarios;
+  return scenarios.map(scenario => (scenario.type === target.type
+    ? { ...scenario, baseline: scenario.id === id }
+    : scenario));
+}
+
+/**
+ * Compare the scenarios of a tab against its baseline (the first one unless
+ * another was chosen)
+ * @param {Object[]} scenarios - Scenarios
+ * @param {string} type - 'diesel' or 'heating'
+ * @returns {Object[]} One row per scenario, { scenario, isBaseline, diffs: { metric: number|null } };
+ *   money differences are null against a baseline in another currency
+ */
+export function compareScenarios(scenarios, type) {
+  const own = scenarios.filter(scenario => scenario.type === type);
+  const baseline = own.find(scenario => scenario.baseline) || own[0];
+
+  return own.map(scenario => {
+    const diffs = {};
+    SCENARIO_METRICS.forEach(metric => {
+      const comparable = !MONEY_METRICS.includes(metric) || scenario.currency === baseline.currency;
+      diffs[metric] = comparable ? scenario.results[metric] - baseline.results[metric] : null;
+    });
+    return { scenario, isBaseline: scenario === baseline, diffs };
+  });
+}
+
+/**
+ * Check scenarios read from storage. Invalid entries are left out.
+ * @param {*} value - Stored value
+ * @returns {Object[]} Valid scenarios, at most MAX_SCENARIOS per tab
+ */
+export function parseScenarios(value) {
+  if (!Array.isArray(value)) return [];
+
+  const counts = { diesel: 0, heating: 0 };
+  return value.filter(scenario => {
+    const valid = !!scenario && typeof scenario === 'object' &&
+      typeof scenario.id === 'string' &&
+      typeof scenario.name === 'string' &&
+      counts[scenario.type] !== undefined &&
+      typeof scenario.country === 'string' &&
+      typeof scenario.currency === 'string' &&
+      !!scenario.inputs && typeof scenario.inputs === 'object' &&
+      !!scenario.results && SCENARIO_METRICS.every(metric => Number.isFinite(scenario.results[metric]));
+    return valid && ++counts[scenario.type] <= MAX_SCENARIOS;
+  });
+}
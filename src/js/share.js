@@ -0,0 +1,163 @@
+/**
+ * TecBlu Calculator - Shareable State
+ * Serializes calculator inputs into a URL query parameter, so a link opens
+ * the calculator pre-filled. The country comes first; prices and currency
+ * only make sense in the market they were entered for.
+ *
+ *   ?tecblu=cc:CH,t:diesel,v:20,km:120000,c:truck,dp:2.05,ds:9
+ *   ?tecblu=cc:DE,t:diesel,g:8*120000*truck;15*40000*van,dp:2.05
+ */
+
+import { consumptionKey, formatGroups } from './inputs.js';
+
+// Query parameter holding the state (override per instance with data-state-key)
+export const DEFAULT_STATE_KEY = 'tecblu';
+
+// Short field names used in links
+const SHARE_FIELDS = {
+  country: 'cc',
+  tab: 't',
+  vehicles: 'v',
+  km: 'km',
+  consumption: 'c',
+  dieselPrice: 'dp',
+  dieselSavings: 'ds',
+  building: 'b',
+  heatingLiters: 'hl',
+  heatingPrice: 'hp',
+  heatingSavings: 'hs',
+  groups: 'g',
+  years: 'y',
+  priceEscalation: 'pe',
+  discountRate: 'dr',
+  fuel: 'f',
+  co2Basis: 'cb'
+};
+
+/**
+ * Serialize inputs to the compact link format
+ * @param {Object} inputs - Inputs as returned by getInputs
+ * @param {string} country - Country code of the calculator
+ * @returns {string} e.g. "cc:CH,t:diesel,v:20,km:120000,c:truck"
+ */
+export function serializeInputs(inputs, country) {
+  const values = { ...inputs, country };
+  return Object.entries(SHARE_FIELDS)
+    .filter(([key]) => values[key] !== undefined && values[key] !== null)
+    .map(([key, short]) => {
+      if (key === 'groups') return `${short}:${formatGroups(values[key])}`;
+      let value = key === 'consumption' ? consumptionKey(values[key]) : values[key];
+      if (typeof value === 'number') value = Number(value.toFixed(2));
+      return `${short}:${value}`;
+    })
+    .join(',');
+}
+
+/**
+ * Parse the compact link format. Values stay strings and still need to be
+ * validated (parseInputs); unknown fields are skipped.
+ * @param {string} str - Serialized inputs
+ * @returns {Object} String values keyed by input name, and the country
+ */
+export function deserializeInputs(str) {
+  const byShort = {};
+  Object.entries(SHARE_FIELDS).forEach(([key, short]) => { byShort[short] = key; });
+
+  const values = {};
+  String(str || '').split(',').forEach(pair => {
+    const sep = pair.indexOf(':');
+    const key = byShort[pair.slice(0, sep)];
+    if (sep > 0 && key) values[key] = pair.slice(sep + 1);
+  });
+  return values;
+}
+
+/**
+ * Read shared inputs from the current page URL
+ * @param {string} key - Query parameter name
+ * @returns {Object|null} String values keyed by input name, or null if none
+ */
+export function readSharedInputs(key = DEFAULT_STATE_KEY) {
+  const param = new URLSearchParams(window.location.search).get(key);
+  return param ? deserializeInputs(param) : null;
+}
+
+/**
+ * Build a link to the current page with the given inputs
+ * @param {Object} inputs - Inputs as returned by getInputs
+ * @param {string} country - Country code of the calculator
+ * @param {string} key - Query parameter name
+ * @returns {string} Absolute URL
+ */
+export function buildShareUrl(inputs, country, key = DEFAULT_STATE_KEY) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(key);
+
+  // Appended by hand so ':' and ',' stay readable instead of being percent-encoded
+  const search = (url.search ? url.search + '&' : '?') + `${encodeURIComponent(key)}=${serializeInputs(inputs, country)}`;
+  return url.origin + url.pathname + search + url.hash;
+}
+
+/**
+ * Replace the current URL with one holding the given inputs (no reload, no history entry)
+ * @param {Object} inputs - Inputs as returned by getInputs
+ * @param {string} country - Country code of the calculator
+ * @param {string} key - Query parameter name
+ */
+export function writeSharedInputs(inputs, country, key = DEFAULT_STATE_KEY) {
+  try {
+    window.history.replaceState(window.history.state, '', buildShareUrl(inputs, country, key));
+  } catch (e) {
+    // Sandboxed iframes and some file:// pages do not allow replaceState
+  }
+}
+
+/**
+ * Remove the inputs from the current URL (no reload, no history entry)
+ * @param {string} key - Query parameter name
+ */
+export function clearSharedInputs(key = DEFAULT_STATE_KEY) {
+  try {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(key)) return;
+    url.searchParams.delete(key);
+    window.history.replaceState(window.history.state, '', url.href);
+  } catch (e) {
+    // Sandboxed iframes and some file:// pages do not allow replaceState
+  }
+}
+
+/**
+ * Copy text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether copying worked
+ */
+export function copyText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).then(() => true, () => copyTextFallback(text));
+  }
+  return Promise.resolve(copyTextFallback(text));
+}
+
+/**
+ * Copy text with a temporary textarea, for browsers without the Clipboard API
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether copying worked
+ */
+function copyTextFallback(text) {
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch (e) {
+    ok = false;
+  }
+  area.remove();
+  return ok;
+}
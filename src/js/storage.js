@@ -0,0 +1,153 @@
+/**
+ * TecBlu Calculator - Saved Inputs
+ * Opt-in persistence of the calculator inputs in localStorage, one entry per
+ * site, calculator and country, so returning visitors find their last inputs
+ * again. The saved scenarios (see scenarios.js) are kept in one entry per site
+ * and calculator. Calculators are told apart by their storage key
+ * (data-storage-key, default: their data-state-key).
+ */
+
+import { parseInputs } from './inputs.js';
+import { COUNTRY_CONFIG } from './markets.js';
+import { parseScenarios } from './scenarios.js';
+
+// Prefix of the localStorage keys (tecblu-calc:<hostname>:<key>:<country> and tecblu-calc:<hostname>:<key>:scenarios)
+const STORAGE_PREFIX = 'tecblu-calc';
+
+// Bump when LIMITS, presets or the input names change, so older entries are
+// dropped instead of restoring values that are no longer valid
+export const STORAGE_VERSION = 1;
+
+/**
+ * Get localStorage, or null if the browser blocks it (privacy settings,
+ * sandboxed iframes, some private browsing modes)
+ * @returns {Storage|null}
+ */
+function getStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the storage key for a country, or the scenarios, of a calculator on the current site
+ * @param {string} key - Storage key of the calculator
+ * @param {string} name - Country code or 'scenarios'
+ * @returns {string} localStorage key
+ */
+function storageKey(key, name) {
+  return `${STORAGE_PREFIX}:${window.location.hostname}:${key}:${name}`;
+}
+
+/**
+ * Load the saved inputs for a country. Entries with another schema version or
+ * unreadable data are removed; invalid values are left out.
+ * @param {string} key - Storage key of the calculator
+ * @param {string} country - Country code
+ * @returns {Object|null} Inputs in the shape accepted by setInputs, or null if none
+ */
+export function loadStoredInputs(key, country) {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const raw = storage.getItem(storageKey(key, country));
+    if (!raw) return null;
+
+    const entry = JSON.parse(raw);
+    if (!entry || entry.version !== STORAGE_VERSION || typeof entry.inputs !== 'object') {
+      storage.removeItem(storageKey(key, country));
+      return null;
+    }
+
+    return parseInputs(entry.inputs, () => {}, COUNTRY_CONFIG[country]);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Save inputs for a country
+ * @param {string} key - Storage key of the calculator
+ * @param {Object} inputs - Inputs as returned by getInputs
+ * @param {string} country - Country code
+ * @returns {boolean} Whether saving worked
+ */
+export function saveStoredInputs(key, inputs, country) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(storageKey(key, country), JSON.stringify({ version: STORAGE_VERSION, inputs }));
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage blocked
+    return false;
+  }
+}
+
+/**
+ * Remove the saved inputs for a country
+ * @param {string} key - Storage key of the calculator
+ * @param {string} country - Country code
+ */
+export function clearStoredInputs(key, country) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.removeItem(storageKey(key, country));
+  } catch (e) {
+    // Storage blocked, nothing saved
+  }
+}
+
+/**
+ * Load the saved scenarios of a calculator on the current site
+ * @param {string} key - Storage key of the calculator
+ * @returns {Object[]} Scenarios, empty if none are saved or storage is blocked
+ */
+export function loadStoredScenarios(key) {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  try {
+    const raw = storage.getItem(storageKey(key, 'scenarios'));
+    if (!raw) return [];
+
+    const entry = JSON.parse(raw);
+    if (!entry || entry.version !== STORAGE_VERSION) {
+      storage.removeItem(storageKey(key, 'scenarios'));
+      return [];
+    }
+
+    return parseScenarios(entry.scenarios);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save the scenarios of a calculator on the current site; an empty list removes the entry
+ * @param {string} key - Storage key of the calculator
+ * @param {Object[]} scenarios - Scenarios
+ * @returns {boolean} Whether saving worked
+ */
+export function saveStoredScenarios(key, scenarios) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    if (scenarios.length) {
+      storage.setItem(storageKey(key, 'scenarios'), JSON.stringify({ version: STORAGE_VERSION, scenarios }));
+    } else {
+      storage.removeItem(storageKey(key, 'scenarios'));
+    }
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage blocked
+    return false;
+  }
+}
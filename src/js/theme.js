@@ -0,0 +1,180 @@
+/**
+ * TecBlu Calculator - Theming
+ * Resolves the theme of create() or data-theme and applies it to the widget:
+ * brand colors, corner radius, shadow style, font, dark mode, and the CTA
+ * copy for partners who embed the calculator under their own brand.
+ *
+ *   TecBluCalc.create(element, {
+ *     theme: {
+ *       mode: 'auto',                        // 'light' (default), 'dark', or 'auto' to follow the system
+ *       colors: { primary: '#0b5fff', accent: '#10b981' },
+ *       radius: 6,                           // corner radius of the cards in px, smaller corners scale along
+ *       shadow: 'flat',                      // 'neumorphic' (default) or 'flat'
+ *       font: "'Source Sans 3', sans-serif", // font-family of the widget
+ *       loadFonts: false,                    // load Inter from Google Fonts (default: true unless font is set)
+ *       cta: {
+ *         phone: '+49 30 1234567',           // replaces the market's TecBlu number, false hides the line
+ *         question: { de: 'Fragen?', en: 'Questions?' },
+ *         button: 'Angebot anfordern',
+ *         text: false                        // hides the savings sentence, or { before, after }
+ *       }
+ *     }
+ *   });
+ *
+ * Texts are a string for every language, or an object per language code;
+ * languages left out keep the translation. Colors are set as the custom
+ * properties of calculator.css (see THEME_COLORS) and apply in the light and
+ * dark theme alike.
+ */
+
+// Theme colors and the custom property of calculator.css each one sets
+export const THEME_COLORS = {
+  primary: '--tt',        // Quote button, links
+  primaryDark: '--ttd',   // Hover of the above
+  primaryLight: '--ttl',  // Highlighted result, CTA box
+  accent: '--tg',         // Selected buttons, sliders, savings
+  accentDark: '--tgd',    // Savings figures
+  accentLight: '--tgl',   // Net savings box
+  background: '--tgr',    // Cards and buttons
+  input: '--tin',         // Input fields
+  text: '--tx',
+  textMuted: '--txm',
+  negative: '--tneg'      // Costs without TecBlu, form errors
+};
+
+export const THEME_MODES = ['light', 'dark', 'auto'];
+
+export const SHADOW_STYLES = ['neumorphic', 'flat'];
+
+// Texts of the CTA box and the translation each one replaces
+const CTA_TEXTS = {
+  button: 'cta.button',
+  question: 'cta.phone',
+  before: 'cta.textBefore',
+  after: 'cta.textAfter'
+};
+
+// CSS values that cannot break out of a declaration
+const CSS_VALUE = /^[\w\s#(),.%/+'"-]+$/;
+
+/**
+ * Check a CTA text: a string, or strings keyed by language code
+ * @param {*} value - Text
+ * @returns {boolean} Whether the text can be used
+ */
+function isText(value) {
+  if (typeof value === 'string') return true;
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(text => typeof text === 'string');
+}
+
+/**
+ * Resolve and validate a theme. Invalid values are reported and left out.
+ * @param {Object|string} [theme] - Theme object (see above), or just the mode
+ * @param {Function} [reject] - Called with (key, expected) for every invalid value
+ * @returns {Object} { mode, shadow, colors: { property: value }, radius, font, loadFonts, cta }
+ */
+export function resolveTheme(theme, reject = () => {}) {
+  if (typeof theme === 'string') theme = { mode: theme };
+  if (!theme || typeof theme !== 'object') theme = {};
+
+  const resolved = { mode: 'light', shadow: 'neumorphic', colors: {}, radius: null, font: null, loadFonts: true, cta: {} };
+
+  if (theme.mode !== undefined) {
+    if (THEME_MODES.includes(theme.mode)) resolved.mode = theme.mode;
+    else reject('mode', THEME_MODES.join(', '));
+  }
+
+  if (theme.shadow !== undefined) {
+    if (SHADOW_STYLES.includes(theme.shadow)) resolved.shadow = theme.shadow;
+    else reject('shadow', SHADOW_STYLES.join(', '));
+  }
+
+  const colors = theme.colors && typeof theme.colors === 'object' ? theme.colors : {};
+  if (theme.colors !== undefined && colors !== theme.colors) reject('colors', 'an object of colors');
+  Object.entries(colors).forEach(([name, value]) => {
+    if (!THEME_COLORS[name]) reject(`colors.${name}`, `one of ${Object.keys(THEME_COLORS).join(', ')}`);
+    else if (typeof value !== 'string' || !CSS_VALUE.test(value)) reject(`colors.${name}`, 'a CSS color');
+    else resolved.colors[THEME_COLORS[name]] = value.trim();
+  });
+
+  if (theme.radius !== undefined) {
+    const radius = typeof theme.radius === 'string' && theme.radius.trim() ? Number(theme.radius) : theme.radius;
+    if (typeof radius === 'number' && radius >= 0 && radius <= 40) resolved.radius = radius;
+    else reject('radius', 'pixels from 0 to 40');
+  }
+
+  if (theme.font !== undefined) {
+    if (typeof theme.font === 'string' && theme.font.trim() && CSS_VALUE.test(theme.font)) resolved.font = theme.font.trim();
+    else reject('font', 'a CSS font-family');
+  }
+
+  // Inter is only needed for the default font
+  resolved.loadFonts = !resolved.font;
+  if (theme.loadFonts !== undefined) {
+    if (typeof theme.loadFonts === 'boolean') resolved.loadFonts = theme.loadFonts;
+    else reject('loadFonts', 'true or false');
+  }
+
+  const cta = theme.cta || {};
+  if (cta.phone !== undefined) {
+    if (cta.phone === false || (typeof cta.phone === 'string' && /\d/.test(cta.phone))) resolved.cta.phone = cta.phone;
+    else reject('cta.phone', 'a phone number or false');
+  }
+  ['button', 'question'].forEach(key => {
+    if (cta[key] === undefined) return;
+    if (isText(cta[key])) resolved.cta[key] = cta[key];
+    else reject(`cta.${key}`, 'a text or texts per language');
+  });
+  if (cta.text !== undefined) {
+    if (cta.text === false) resolved.cta.text = false;
+    else if (cta.text && typeof cta.text === 'object' && ['before', 'after'].every(key => cta.text[key] === undefined || isText(cta.text[key]))) {
+      ['before', 'after'].forEach(key => {
+        if (cta.text[key] !== undefined) resolved.cta[key] = cta.text[key];
+      });
+    } else reject('cta.text', 'false or { before, after }');
+  }
+
+  return resolved;
+}
+
+/**
+ * Apply a resolved theme to the widget, replacing the previous one
+ * @param {HTMLElement} wrapper - The .tec-calc-wrapper element
+ * @param {Object} theme - Theme from resolveTheme
+ */
+export function applyTheme(wrapper, theme) {
+  wrapper.classList.toggle('tec-theme-dark', theme.mode === 'dark');
+  wrapper.classList.toggle('tec-theme-auto', theme.mode === 'auto');
+  wrapper.classList.toggle('tec-flat', theme.shadow === 'flat');
+
+  Object.values(THEME_COLORS).forEach(property => {
+    if (theme.colors[property]) wrapper.style.setProperty(property, theme.colors[property]);
+    else wrapper.style.removeProperty(property);
+  });
+
+  if (theme.radius !== null) wrapper.style.setProperty('--tr', `${theme.radius}px`);
+  else wrapper.style.removeProperty('--tr');
+
+  if (theme.font) wrapper.style.setProperty('--tfont', theme.font);
+  else wrapper.style.removeProperty('--tfont');
+}
+
+/**
+ * Replace the translated CTA texts with the theme's. Call after applying
+ * translations, which restore the originals.
+ * @param {HTMLElement} wrapper - The .tec-calc-wrapper element
+ * @param {Object} theme - Theme from resolveTheme
+ * @param {string} lang - Current language code
+ */
+export function applyCtaTexts(wrapper, theme, lang) {
+  Object.entries(CTA_TEXTS).forEach(([key, i18nKey]) => {
+    const value = theme.cta[key];
+    const text = typeof value === 'string' ? value : value && value[lang];
+    const el = wrapper.querySelector(`[data-i18n="${i18nKey}"]`);
+    if (el && typeof text === 'string') el.textContent = text;
+  });
+
+  const sentence = wrapper.querySelector('.tec-cta-text');
+  if (sentence) sentence.classList.toggle('tec-hidden', theme.cta.text === false);
+}
@@ -0,0 +1,132 @@
+/**
+ * TecBlu Calculator - Units
+ * Display units of the fuel and heating inputs and results. The engine, shared
+ * links and saved inputs always use km, L/100km, liters and tonnes; values are
+ * converted only when shown or read back. Prices stay per liter, as fuel is
+ * sold by the liter in every market.
+ *
+ *   import { resolveUnits, toDisplay, fromDisplay } from './src/js/units.js';
+ *   const units = resolveUnits('uk');          // { distance: 'mi', consumption: 'mpg-uk', volume: 'l', co2: 't' }
+ *   toDisplay('consumption', 'mpg-uk', 32);    // 8.8275...
+ *   fromDisplay('distance', 'mi', 50000);      // 80467.2
+ */
+
+// Exact by definition: international mile, imperial and US gallon
+export const KM_PER_MILE = 1.609344;
+export const LITERS_PER_UK_GALLON = 4.54609;
+export const LITERS_PER_US_GALLON = 3.785411784;
+
+// Significant digits of values converted back to metric. Fewer than display
+// values keep, so the rounding error of a display value is dropped and metric
+// inputs convert back and forth unchanged (1000 km, not 999.999999999).
+const METRIC_DIGITS = 10;
+
+// Units per quantity. Linear units have `factor` (metric value of one display
+// unit), MPG has `inverse` (L/100km x MPG). `step` is the slider step,
+// `decimals` the places shown (default: as for the metric unit), `i18n` the
+// label key.
+export const UNITS = {
+  distance: {
+    km: { factor: 1, step: 1000, decimals: 0, i18n: 'units.km', symbol: 'km' },
+    mi: { factor: KM_PER_MILE, step: 500, decimals: 0, i18n: 'units.miles', symbol: 'mi' }
+  },
+  consumption: {
+    'l100km': { factor: 1, step: 1, i18n: 'units.l100km', symbol: 'L/100km' },
+    'mpg-uk': { inverse: (100 * LITERS_PER_UK_GALLON) / KM_PER_MILE, step: 0.1, decimals: 1, i18n: 'units.mpgUk', symbol: 'mpg UK' },
+    'mpg-us': { inverse: (100 * LITERS_PER_US_GALLON) / KM_PER_MILE, step: 0.1, decimals: 1, i18n: 'units.mpgUs', symbol: 'mpg US' }
+  },
+  volume: {
+    l: { factor: 1, step: 500, i18n: 'units.liters', symbol: 'L' },
+    'gal-uk': { factor: LITERS_PER_UK_GALLON, step: 100, decimals: 0, i18n: 'units.galUk', symbol: 'gal UK' },
+    'gal-us': { factor: LITERS_PER_US_GALLON, step: 100, decimals: 0, i18n: 'units.galUs', symbol: 'gal US' }
+  },
+  co2: {
+    t: { factor: 1, i18n: 'units.tons', symbol: 't' },
+    kg: { factor: 0.001, decimals: 0, i18n: 'units.kg', symbol: 'kg' }
+  }
+};
+
+// Named unit systems; 'metric' is the default
+export const UNIT_SYSTEMS = {
+  metric: { distance: 'km', consumption: 'l100km', volume: 'l', co2: 't' },
+  uk: { distance: 'mi', consumption: 'mpg-uk', volume: 'l', co2: 't' },
+  us: { distance: 'mi', consumption: 'mpg-us', volume: 'gal-us', co2: 't' }
+};
+
+/**
+ * Resolve a unit setting to one unit per quantity
+ * @param {string|Object} [value] - System name (metric, uk, us), comma-separated
+ *   units ("mi,mpg-uk,l,kg", any order) or { distance, consumption, volume, co2 };
+ *   missing quantities are metric
+ * @returns {Object|null} { distance, consumption, volume, co2 }, or null if a unit is unknown
+ */
+export function resolveUnits(value) {
+  if (value === undefined || value === null || value === '') return { ...UNIT_SYSTEMS.metric };
+  if (typeof value === 'string' && UNIT_SYSTEMS[value]) return { ...UNIT_SYSTEMS[value] };
+
+  const units = { ...UNIT_SYSTEMS.metric };
+  const entries = typeof value === 'string'
+    ? value.split(',').map(unit => {
+      const kind = Object.keys(UNITS).find(key => UNITS[key][unit.trim()]);
+      return [kind, unit.trim()];
+    })
+    : Object.entries(value);
+
+  for (const [kind, unit] of entries) {
+    if (!UNITS[kind] || !UNITS[kind][unit]) return null;
+    units[kind] = unit;
+  }
+  return units;
+}
+
+/**
+ * Convert a metric value (km, L/100km, liters, tonnes) to a display unit
+ * @param {string} kind - Quantity (distance, consumption, volume, co2)
+ * @param {string} unit - Display unit
+ * @param {number} value - Metric value
+ * @returns {number} Value in the display unit
+ */
+export function toDisplay(kind, unit, value) {
+  const spec = UNITS[kind][unit];
+  return precise(spec.inverse ? spec.inverse / value : value / spec.factor);
+}
+
+/**
+ * Convert a value in a display unit back to metric
+ * @param {string} kind - Quantity (distance, consumption, volume, co2)
+ * @param {string} unit - Display unit
+ * @param {number} value - Value in the display unit
+ * @returns {number} Metric value
+ */
+export function fromDisplay(kind, unit, value) {
+  const spec = UNITS[kind][unit];
+  return precise(spec.inverse ? spec.inverse / value : value * spec.factor, METRIC_DIGITS);
+}
+
+/**
+ * Drop floating point noise from a converted value (50000 mi is 80467.2 km,
+ * not 80467.20000000001)
+ * @param {number} value - Converted value
+ * @param {number} [digits] - Significant digits to keep
+ * @returns {number} Rounded value
+ */
+function precise(value, digits = 12) {
+  return Number(value.toPrecision(digits));
+}
+
+/**
+ * Convert metric limits to a display unit. The range is rounded inwards to
+ * the unit's step, so clamped display values stay within the metric limits.
+ * @param {string} kind - Quantity (distance, consumption, volume)
+ * @param {string} unit - Display unit
+ * @param {number[]} limits - Metric [min, max], e.g. LIMITS.km
+ * @returns {number[]} [min, max] in the display unit
+ */
+export function displayLimits(kind, unit, limits) {
+  const spec = UNITS[kind][unit];
+  if (spec.factor === 1) return limits;
+
+  const [a, b] = limits.map(v => toDisplay(kind, unit, v)).sort((x, y) => x - y);
+  const round = v => Number(v.toFixed(spec.decimals));
+  return [round(Math.ceil(a / spec.step) * spec.step), round(Math.floor(b / spec.step) * spec.step)];
+}
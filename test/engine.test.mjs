@@ -0,0 +1,372 @@
+/**
+ * Savings engine, for every market of COUNTRY_CONFIG
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COUNTRY_CONFIG } from '../src/js/markets.js';
+import { CO2_FACTORS, CO2_LITER, FUELS, LIMITS, MAX_FLEET_GROUPS, computeFuelSavings, computeBreakEven, computeFleetSavings, computeHeatingSavings, computeProjection, computeSensitivity, co2Factor, estimateHeatingLiters, priceLimits,
+  SENSITIVITY_PRICE_STEPS, SENSITIVITY_SAVINGS_ROWS, SENSITIVITY_SAVINGS_STEP } from '../src/js/engine.js';
+
+// Relative tolerance for floating point sums
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9 + 1e-9, `${message}: ${actual} !== ${expected}`);
+};
+
+// Results at the market's default prices for 5 trucks (80 000 km, 32 L/100km)
+// and a building using 8000 L, both with 7 % savings
+const PINNED = {
+  CH: { fuel: { gross: 17472, tecCost: 5926.4, net: 11545.6 }, heating: { gross: 756, tecCost: 370.4, net: 385.6 } },
+  DE: { fuel: { gross: 14336, tecCost: 6272, net: 8064 }, heating: { gross: 728, tecCost: 392, net: 336 } },
+  AT: { fuel: { gross: 14336, tecCost: 6272, net: 8064 }, heating: { gross: 728, tecCost: 392, net: 336 } },
+  FR: { fuel: { gross: 14336, tecCost: 6272, net: 8064 }, heating: { gross: 728, tecCost: 392, net: 336 } },
+  IT: { fuel: { gross: 14336, tecCost: 7424, net: 6912 }, heating: { gross: 728, tecCost: 464, net: 264 } },
+  LI: { fuel: { gross: 17472, tecCost: 5926.4, net: 11545.6 }, heating: { gross: 756, tecCost: 370.4, net: 385.6 } },
+  LU: { fuel: { gross: 12992, tecCost: 6272, net: 6720 }, heating: { gross: 588, tecCost: 392, net: 196 } },
+  BE: { fuel: { gross: 15232, tecCost: 6272, net: 8960 }, heating: { gross: 588, tecCost: 392, net: 196 } },
+  NL: { fuel: { gross: 15680, tecCost: 6272, net: 9408 }, heating: { gross: 728, tecCost: 392, net: 336 } },
+  PL: { fuel: { gross: 54656, tecCost: 26880, net: 27776 }, heating: { gross: 2576, tecCost: 1680, net: 896 } },
+  CZ: { fuel: { gross: 313600, tecCost: 153600, net: 160000 }, heating: { gross: 15680, tecCost: 9600, net: 6080 } }
+};
+
+const FLEET = { vehicles: 5, km: 80000, consumption: 32, savings: 7 };
+const BUILDING = { liters: 8000, savings: 7 };
+
+test('every market has pinned results', () => {
+  assert.deepEqual(Object.keys(PINNED).sort(), Object.keys(COUNTRY_CONFIG).sort());
+});
+
+test('CO₂ factor', () => {
+  assert.equal(CO2_LITER, 2.65);
+  assert.equal(CO2_FACTORS.diesel.ttw, CO2_LITER);
+});
+
+describe('CO₂ factors', () => {
+  test('every fuel has a factor per basis and a source', () => {
+    [...FUELS, 'heatingOil'].forEach(fuel => {
+      ['ttw', 'wtw'].forEach(basis => {
+        const f = co2Factor(fuel, basis);
+        assert.deepEqual(f, { fuel, basis, factor: CO2_FACTORS[fuel][basis], source: CO2_FACTORS[fuel].source });
+        assert.ok(f.factor >= 0 && f.factor < 4, `${fuel} ${basis}`);
+      });
+      assert.ok(CO2_FACTORS[fuel].wtw > CO2_FACTORS[fuel].ttw, `${fuel} well-to-wheel adds to tank-to-wheel`);
+    });
+  });
+
+  test('results use the factor of the fuel and basis', () => {
+    const config = COUNTRY_CONFIG.CH;
+    const fuel = computeFuelSavings({ ...FLEET, price: 1.95, fuel: 'petrol', co2Basis: 'wtw' }, config);
+    assert.deepEqual([fuel.inputs.fuel, fuel.inputs.co2Basis, fuel.co2Factor], ['petrol', 'wtw', CO2_FACTORS.petrol.wtw]);
+    close(fuel.co2, 8960 * CO2_FACTORS.petrol.wtw / 1000, 'co2');
+    close(fuel.net, 11545.6, 'net does not depend on the fuel');
+
+    assert.equal(computeFuelSavings({ ...FLEET, price: 1.95, fuel: 'hvo' }, config).co2, 0);
+
+    const heating = computeHeatingSavings({ ...BUILDING, price: 1.35, co2Basis: 'wtw' }, config);
+    close(heating.co2, 560 * CO2_FACTORS.heatingOil.wtw / 1000, 'heating co2');
+  });
+
+  test('unknown fuels and bases throw a TypeError', () => {
+    assert.throws(() => co2Factor('kerosene', 'ttw'), TypeError);
+    assert.throws(() => co2Factor('diesel', 'wtt'), TypeError);
+    assert.throws(() => computeFuelSavings({ ...FLEET, price: 1.95, fuel: 'lpg' }, COUNTRY_CONFIG.CH), TypeError);
+  });
+});
+
+Object.entries(COUNTRY_CONFIG).forEach(([code, config]) => {
+  describe(`market ${code}`, () => {
+    const pinned = PINNED[code];
+
+    test('computeFuelSavings', () => {
+      const r = computeFuelSavings({ ...FLEET, price: config.dieselPrice }, config);
+
+      assert.equal(r.type, 'diesel');
+      assert.equal(r.currency, config.currency);
+      assert.deepEqual(r.inputs, { ...FLEET, price: config.dieselPrice, fuel: 'diesel', co2Basis: 'ttw' });
+      close(r.litersPerVehicle, 25600, 'litersPerVehicle');
+      close(r.totalLiters, 128000, 'totalLiters');
+      close(r.litersSaved, 8960, 'litersSaved');
+      close(r.gross, pinned.fuel.gross, 'gross');
+      close(r.tecCost, pinned.fuel.tecCost, 'tecCost');
+      close(r.net, pinned.fuel.net, 'net');
+      close(r.perVehicle, pinned.fuel.net / 5, 'perVehicle');
+      close(r.costWithout, 128000 * config.dieselPrice, 'costWithout');
+      close(r.costWith, r.costWithout - pinned.fuel.net, 'costWith');
+      close(r.co2, 8960 * 2.65 / 1000, 'co2');
+    });
+
+    test('computeFleetSavings with one group matches computeFuelSavings', () => {
+      const { vehicles, km, consumption, ...rest } = FLEET;
+      const fleet = computeFleetSavings({ ...rest, groups: [{ vehicles, km, consumption }], price: config.dieselPrice }, config);
+      const single = computeFuelSavings({ ...FLEET, price: config.dieselPrice }, config);
+
+      ['litersPerVehicle', 'totalLiters', 'litersSaved', 'gross', 'tecCost', 'net', 'co2', 'perVehicle', 'costWithout', 'costWith']
+        .forEach(key => close(fleet[key], single[key], key));
+      assert.equal(fleet.inputs.vehicles, 5);
+    });
+
+    test('computeHeatingSavings', () => {
+      const r = computeHeatingSavings({ ...BUILDING, price: config.heatingPrice }, config);
+
+      assert.equal(r.type, 'heating');
+      assert.equal(r.currency, config.currency);
+      assert.deepEqual(r.inputs, { ...BUILDING, price: config.heatingPrice, co2Basis: 'ttw' });
+      close(r.totalLiters, 8000, 'totalLiters');
+      close(r.litersSaved, 560, 'litersSaved');
+      close(r.gross, pinned.heating.gross, 'gross');
+      close(r.tecCost, pinned.heating.tecCost, 'tecCost');
+      close(r.net, pinned.heating.net, 'net');
+      close(r.co2, 560 * 2.65 / 1000, 'co2');
+    });
+
+    test('inputs are clamped to the edges of LIMITS and the market\'s price limits', () => {
+      const price = priceLimits(config);
+      const low = computeFuelSavings({ vehicles: 0, km: 1, consumption: 0.1, price: 0.01, savings: 0 }, config);
+      assert.deepEqual(low.inputs, {
+        vehicles: LIMITS.vehicles[0], km: LIMITS.km[0], consumption: LIMITS.cons[0], price: price[0], savings: LIMITS.savings[0],
+        fuel: 'diesel', co2Basis: 'ttw'
+      });
+
+      const high = computeFuelSavings({ vehicles: 1e6, km: 1e7, consumption: 1e3, price: 999, savings: 99 }, config);
+      assert.deepEqual(high.inputs, {
+        vehicles: LIMITS.vehicles[1], km: LIMITS.km[1], consumption: LIMITS.cons[1], price: price[1], savings: LIMITS.savings[1],
+        fuel: 'diesel', co2Basis: 'ttw'
+      });
+
+      // Values on the edges are kept
+      const edge = {
+        vehicles: LIMITS.vehicles[1], km: LIMITS.km[0], consumption: LIMITS.cons[1], price: price[0], savings: LIMITS.savings[1],
+        fuel: 'diesel', co2Basis: 'ttw'
+      };
+      assert.deepEqual(computeFuelSavings(edge, config).inputs, edge);
+
+      const heatingLow = computeHeatingSavings({ liters: 1, price: 0, savings: 0 }, config);
+      assert.deepEqual(heatingLow.inputs, { liters: LIMITS.heating[0], price: price[0], savings: LIMITS.savings[0], co2Basis: 'ttw' });
+      const heatingHigh = computeHeatingSavings({ liters: 1e9, price: 999, savings: 99 }, config);
+      assert.deepEqual(heatingHigh.inputs, { liters: LIMITS.heating[1], price: price[1], savings: LIMITS.savings[1], co2Basis: 'ttw' });
+    });
+
+    test('net savings are floored at 0 when TecBlu costs more than it saves', () => {
+      const r = computeFuelSavings({ ...FLEET, price: priceLimits(config)[0], savings: LIMITS.savings[0] }, config);
+      assert.ok(r.gross < r.tecCost);
+      assert.equal(r.net, 0);
+      assert.equal(r.perVehicle, 0);
+      assert.equal(r.costWith, r.costWithout);
+
+      const heating = computeHeatingSavings({ ...BUILDING, price: priceLimits(config)[0], savings: LIMITS.savings[0] }, config);
+      assert.ok(heating.gross < heating.tecCost);
+      assert.equal(heating.net, 0);
+      assert.equal(heating.costWith, heating.costWithout);
+    });
+
+    test('non-numeric inputs throw a TypeError', () => {
+      const fuel = { ...FLEET, price: config.dieselPrice };
+      const building = { ...BUILDING, price: config.heatingPrice };
+      ['abc', null, '', undefined, NaN].forEach(value => {
+        Object.keys(fuel).forEach(key => {
+          assert.throws(() => computeFuelSavings({ ...fuel, [key]: value }, config), TypeError);
+        });
+        Object.keys(building).forEach(key => {
+          assert.throws(() => computeHeatingSavings({ ...building, [key]: value }, config), TypeError);
+        });
+      });
+    });
+  });
+});
+
+describe('computeFleetSavings', () => {
+  const config = COUNTRY_CONFIG.CH;
+  const GROUPS = [{ vehicles: 8, km: 120000, consumption: 32 }, { vehicles: 15, km: 40000, consumption: 12 }];
+
+  test('totals cover every group', () => {
+    const r = computeFleetSavings({ groups: GROUPS, price: 1.95, savings: 7 }, config);
+
+    assert.equal(r.inputs.vehicles, 23);
+    assert.deepEqual(r.inputs.groups, GROUPS);
+    assert.deepEqual(r.groups.map(g => g.liters), [307200, 72000]);
+    close(r.totalLiters, 379200, 'totalLiters');
+    close(r.litersPerVehicle, 379200 / 23, 'litersPerVehicle');
+    close(r.litersSaved, 26544, 'litersSaved');
+    close(r.gross, 26544 * 1.95, 'gross');
+    close(r.tecCost, 379200 * config.tecCost, 'tecCost');
+    close(r.net, r.gross - r.tecCost, 'net');
+    close(r.perVehicle, r.net / 23, 'perVehicle');
+    close(r.co2, 26544 * 2.65 / 1000, 'co2');
+  });
+
+  test('each group is clamped to LIMITS on its own', () => {
+    const r = computeFleetSavings({ groups: [{ vehicles: 0, km: 1e7, consumption: 0.1 }, GROUPS[1]], price: 1.95, savings: 7 }, config);
+    assert.deepEqual(r.inputs.groups[0], { vehicles: LIMITS.vehicles[0], km: LIMITS.km[1], consumption: LIMITS.cons[0] });
+    assert.deepEqual(r.inputs.groups[1], GROUPS[1]);
+  });
+
+  test('invalid groups throw a TypeError', () => {
+    const tooMany = Array.from({ length: MAX_FLEET_GROUPS + 1 }, () => GROUPS[0]);
+    [undefined, [], tooMany, 'abc'].forEach(groups => {
+      assert.throws(() => computeFleetSavings({ groups, price: 1.95, savings: 7 }, config), TypeError);
+    });
+    assert.throws(() => computeFleetSavings({ groups: [{ ...GROUPS[0], km: 'abc' }], price: 1.95, savings: 7 }, config), /groups\[0\]\.km/);
+  });
+});
+
+describe('computeProjection', () => {
+  const result = computeFuelSavings({ ...FLEET, price: 1.95 }, COUNTRY_CONFIG.CH);
+
+  test('without escalation every year repeats the first', () => {
+    const p = computeProjection(result, { years: 5 });
+
+    assert.deepEqual([p.years, p.escalation, p.discount], [5, 0, 0]);
+    assert.equal(p.rows.length, 5);
+    p.rows.forEach((row, i) => {
+      assert.equal(row.year, i + 1);
+      close(row.net, 11545.6, `net ${row.year}`);
+      close(row.cumulativeNet, 11545.6 * row.year, `cumulativeNet ${row.year}`);
+      close(row.cumulativeTecCost, 5926.4 * row.year, `cumulativeTecCost ${row.year}`);
+      close(row.cumulativeCo2, result.co2 * row.year, `cumulativeCo2 ${row.year}`);
+    });
+    close(p.totalNet, 57728, 'totalNet');
+    close(p.npv, p.totalNet, 'npv without discount');
+  });
+
+  test('prices escalate yearly and the NPV discounts at the end of each year', () => {
+    const p = computeProjection(result, { years: 3, escalation: 10, discount: 5 });
+    const nets = [11545.6, 13292.8, 15214.72];
+
+    p.rows.forEach((row, i) => {
+      close(row.price, 1.95 * 1.1 ** i, `price ${row.year}`);
+      close(row.net, nets[i], `net ${row.year}`);
+      close(row.discounted, nets[i] / 1.05 ** (i + 1), `discounted ${row.year}`);
+    });
+    close(p.totalNet, 40053.12, 'totalNet');
+    close(p.npv, nets[0] / 1.05 + nets[1] / 1.05 ** 2 + nets[2] / 1.05 ** 3, 'npv');
+    close(p.rows[2].cumulativeNpv, p.npv, 'cumulativeNpv');
+  });
+
+  test('net savings stay floored at 0 when prices fall', () => {
+    const low = computeFuelSavings({ ...FLEET, price: 1.95, savings: 4 }, COUNTRY_CONFIG.CH);
+    const p = computeProjection(low, { years: 10, escalation: -10 });
+    assert.ok(p.rows[0].net > 0);
+    assert.ok(p.rows.every(row => row.net >= 0));
+    assert.equal(p.rows[9].net, 0);
+  });
+
+  test('options are clamped to LIMITS', () => {
+    const p = computeProjection(result, { years: 99, escalation: -99, discount: 99 });
+    assert.deepEqual([p.years, p.escalation, p.discount], [LIMITS.years[1], LIMITS.escalation[0], LIMITS.discount[1]]);
+    assert.throws(() => computeProjection(result, { years: 'abc' }), TypeError);
+  });
+});
+
+describe('estimateHeatingLiters', () => {
+  const config = COUNTRY_CONFIG.CH;
+
+  test('heat demand by construction year at the reference climate', () => {
+    // 150 m² × 170 kWh/m² ÷ (10 kWh/L × 0.85)
+    assert.equal(estimateHeatingLiters({ area: 150, year: 1970, region: 'average' }, config), 3000);
+    assert.equal(estimateHeatingLiters({ area: 150, year: 1949, region: 'average' }, config), 3400);
+    assert.equal(estimateHeatingLiters({ area: 150, year: 1950, region: 'average' }, config), 3000);
+    assert.equal(estimateHeatingLiters({ area: 150, year: 2010, region: 'average' }, config), 1100);
+  });
+
+  test('the climate region scales by heating degree days', () => {
+    // 3000 L × 4800 / 3400, rounded to 100 L
+    assert.equal(estimateHeatingLiters({ area: 150, year: 1970, region: 'alpine' }, config), 4200);
+  });
+
+  test('an energy class replaces the construction year', () => {
+    assert.equal(estimateHeatingLiters({ area: 150, year: 1970, rating: 'C', region: 'average' }, config), 1800);
+    assert.equal(estimateHeatingLiters({ area: 200, rating: 'H', region: 'cool' }, COUNTRY_CONFIG.DE), 7300);
+  });
+
+  test('the area and the estimate are clamped to LIMITS', () => {
+    assert.equal(estimateHeatingLiters({ area: 5, year: 2020, region: 'mild' }, config), LIMITS.heating[0]);
+    assert.equal(estimateHeatingLiters({ area: 99999, year: 1900, region: 'alpine' }, config), LIMITS.heating[1]);
+  });
+
+  test('every market has heating tables with its reference climate among the regions', () => {
+    Object.entries(COUNTRY_CONFIG).forEach(([code, market]) => {
+      assert.ok(Object.values(market.heating.regions).includes(market.heating.hdd), code);
+    });
+  });
+
+  test('unknown classes and regions and markets without tables throw a TypeError', () => {
+    assert.throws(() => estimateHeatingLiters({ area: 150, rating: 'H', region: 'average' }, config), /"rating" must be one of/);
+    assert.throws(() => estimateHeatingLiters({ area: 150, year: 1970, region: 'cold' }, config), /"region" must be one of/);
+    assert.throws(() => estimateHeatingLiters({ area: 'abc', year: 1970, region: 'average' }, config), TypeError);
+    assert.throws(() => estimateHeatingLiters({ area: 150, year: 1970, region: 'average' }, { ...config, heating: undefined }), TypeError);
+  });
+});
+
+describe('computeBreakEven', () => {
+  const config = COUNTRY_CONFIG.CH;
+
+  test('savings and price where the liters saved pay for TecBlu', () => {
+    const result = computeFuelSavings({ ...FLEET, price: 1.95 }, config);
+    const breakEven = computeBreakEven(result);
+
+    close(breakEven.savings, 0.0463 / 1.95 * 100, 'savings');
+    close(breakEven.price, 0.0463 / 0.07, 'price');
+    assert.equal(breakEven.below, false);
+
+    // At either break-even point the net savings are 0
+    const atSavings = computeFuelSavings({ ...FLEET, price: 1.95, savings: breakEven.savings }, config);
+    close(atSavings.gross, atSavings.tecCost, 'gross at break-even savings');
+    const atPrice = computeFuelSavings({ ...FLEET, price: breakEven.price }, config);
+    close(atPrice.gross, atPrice.tecCost, 'gross at break-even price');
+  });
+
+  test('a configuration below break-even is flagged', () => {
+    const result = computeFuelSavings({ ...FLEET, price: 1.95, savings: 2 }, config);
+    assert.equal(result.net, 0);
+    assert.equal(computeBreakEven(result).below, true);
+  });
+
+  test('heating results use the heating oil price', () => {
+    const result = computeHeatingSavings({ ...BUILDING, price: 1.35 }, config);
+    close(computeBreakEven(result).savings, 0.0463 / 1.35 * 100, 'savings');
+  });
+});
+
+describe('computeSensitivity', () => {
+  const config = COUNTRY_CONFIG.CH;
+  const at = inputs => computeSensitivity(computeFuelSavings({ ...FLEET, ...inputs }, config), config);
+
+  test('prices and savings are spread around the inputs', () => {
+    const grid = at({ price: 2, savings: 7 });
+
+    assert.deepEqual(grid.prices, SENSITIVITY_PRICE_STEPS.map(step => 2 * (1 + step / 100)));
+    assert.deepEqual(grid.savings, [3, 5, 7, 9, 11]);
+    assert.deepEqual(grid.rows.map(row => row.savings), grid.savings);
+    grid.rows.forEach(row => assert.deepEqual(row.cells.map(cell => cell.price), grid.prices));
+  });
+
+  test('the cell of the inputs matches the calculation', () => {
+    const result = computeFuelSavings({ ...FLEET, price: 2 }, config);
+    const cell = computeSensitivity(result, config).rows.find(row => row.savings === 7).cells.find(cell => cell.price === 2);
+    close(cell.net, result.net, 'net');
+    close(cell.margin, result.gross - result.tecCost, 'margin');
+  });
+
+  test('net savings stay floored at 0 and the margin shows how far below', () => {
+    const grid = at({ price: 1, savings: 1 });
+    const cell = grid.rows[0].cells[0];
+    assert.equal(grid.rows[0].savings, LIMITS.savings[0]);
+    assert.ok(cell.margin < 0);
+    assert.equal(cell.net, 0);
+  });
+
+  test('savings rows are shifted to stay within LIMITS', () => {
+    const span = (SENSITIVITY_SAVINGS_ROWS - 1) * SENSITIVITY_SAVINGS_STEP;
+    assert.equal(at({ price: 2, savings: LIMITS.savings[0] }).savings[0], LIMITS.savings[0]);
+    assert.equal(at({ price: 2, savings: LIMITS.savings[1] }).savings[0], LIMITS.savings[1] - span);
+    assert.equal(at({ price: 2, savings: LIMITS.savings[1] }).savings.length, SENSITIVITY_SAVINGS_ROWS);
+  });
+
+  test('prices are clamped to the market and repeated ones dropped', () => {
+    assert.deepEqual(at({ price: LIMITS.price[1], savings: 7 }).prices, [4, 4.5, 5]);
+    const pln = computeSensitivity(computeFuelSavings({ ...FLEET, price: 20, savings: 7 }, COUNTRY_CONFIG.PL), COUNTRY_CONFIG.PL);
+    assert.equal(Math.max(...pln.prices), priceLimits(COUNTRY_CONFIG.PL)[1]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Formatters for every market of COUNTRY_CONFIG
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COUNTRY_CONFIG } from '../src/js/markets.js';
+import { createFormatter, resolveLocale, resolveTextLocale } from '../src/js/format.js';
+
+// January in every UI language
+const JANUARY = { de: /^31\. (Januar|Jänner) 2026$/, fr: /^31 janvier 2026$/, it: /^31 gennaio 2026$/, en: /^(31 January|January 31,) 2026$/ };
+
+// Intl separates with no-break spaces (U+00A0, U+202F); compare with plain ones
+const plain = text => text.replace(/[\u00a0\u202f]/g, ' ');
+
+// Grouping separator of a locale
+const groupOf = locale => new Intl.NumberFormat(locale).formatToParts(12345).find(p => p.type === 'group').value;
+
+test('pinned amounts', () => {
+  assert.equal(plain(createFormatter('de', 'CH').money(11546)), 'CHF 11’546.–');
+  assert.equal(plain(createFormatter('fr', 'CH').money(11546)), '11 546.– CHF');
+  assert.equal(plain(createFormatter('fr', 'FR').money(8064)), '8 064 €');
+  assert.equal(plain(createFormatter('de', 'DE').price(1.789, 3)), '1,789 €');
+  assert.equal(plain(createFormatter('en', 'PL').money(11546)), '11 546 zł');
+  assert.equal(plain(createFormatter('en', 'CZ').money(11546)), '11 546 Kč');
+  assert.equal(plain(createFormatter('en', 'NL').money(11546)), '€ 11.546');
+});
+
+Object.entries(COUNTRY_CONFIG).forEach(([code, config]) => {
+  describe(`market ${code}`, () => {
+    test('site language: market currency and number grouping, dates in the site language', () => {
+      const fmt = createFormatter(config.lang, code);
+      assert.equal(fmt.locale, config.locale);
+      assert.equal(fmt.currency, config.currency);
+      assert.ok(fmt.money(11546).includes(fmt.symbol));
+      assert.equal(fmt.number(12345), `12${groupOf(config.locale)}345`);
+      assert.match(fmt.date('2026-01-31'), JANUARY[config.lang]);
+    });
+
+    Object.keys(JANUARY).forEach(lang => {
+      test(`dates follow the UI language (${lang})`, () => {
+        const fmt = createFormatter(lang, code);
+        assert.equal(fmt.textLocale.split('-')[0], lang);
+        assert.equal(resolveTextLocale(lang, code), fmt.textLocale);
+        assert.match(fmt.date('2026-01-31'), JANUARY[lang]);
+        assert.equal(fmt.currency, config.currency);
+      });
+    });
+
+    test('a currency other than the market\'s', () => {
+      const fmt = createFormatter(config.lang, code, 'CHF');
+      assert.equal(fmt.currency, 'CHF');
+      assert.equal(fmt.locale, resolveLocale(config.lang, code));
+    });
+  });
+});
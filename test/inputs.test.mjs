@@ -0,0 +1,62 @@
+/**
+ * Input validation of data-* attributes and shared links
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_FLEET_GROUPS } from '../src/js/engine.js';
+import { parseInputs, formatGroups } from '../src/js/inputs.js';
+
+// Validate values and collect the rejected keys
+const parse = values => {
+  const rejected = [];
+  const inputs = parseInputs(values, key => rejected.push(key));
+  return { inputs, rejected };
+};
+
+test('compact groups are parsed with presets and numeric consumption', () => {
+  const { inputs, rejected } = parse({ groups: '8*120000*truck;15*40000*12' });
+
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(inputs.groups, [
+    { vehicles: 8, km: 120000, consumption: 'truck' },
+    { vehicles: 15, km: 40000, consumption: 12 }
+  ]);
+});
+
+test('groups given as an array are validated the same way', () => {
+  const { inputs, rejected } = parse({ groups: [{ vehicles: '2', km: 50000, consumption: 'van' }] });
+
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(inputs.groups, [{ vehicles: 2, km: 50000, consumption: 'van' }]);
+});
+
+test('one invalid row rejects all groups', () => {
+  [
+    '8*120000*truck;0*40000*van',
+    '8*120000*truck;15*500*van',
+    '8*120000*bus',
+    '8*120000',
+    '8**truck',
+    '',
+    Array.from({ length: MAX_FLEET_GROUPS + 1 }, () => '1*10000*car').join(';'),
+    [null]
+  ].forEach(groups => {
+    const { inputs, rejected } = parse({ groups });
+    assert.equal(inputs.groups, undefined, JSON.stringify(groups));
+    assert.deepEqual(rejected, ['groups']);
+  });
+});
+
+test('formatGroups output parses back to the same groups', () => {
+  const groups = [{ vehicles: 8, km: 120000, consumption: 32 }, { vehicles: 15, km: 40000, consumption: 10.5 }];
+  const compact = formatGroups(groups);
+
+  assert.equal(compact, '8*120000*truck;15*40000*10.5');
+  assert.deepEqual(parse({ groups: compact }).inputs.groups, [
+    { vehicles: 8, km: 120000, consumption: 'truck' },
+    { vehicles: 15, km: 40000, consumption: 10.5 }
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * Lead form validation and submission
+ * Run with: npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LEAD_VERSION, validateLead, buildLeadPayload, submitLead } from '../src/js/leads.js';
+
+const VALID = { name: ' Anna Muster ', company: 'Muster AG', email: 'anna@muster.ch', phone: '+41 43 888 00 12', fleetSize: '12', consent: true };
+
+describe('validateLead', () => {
+  test('valid values are trimmed and the fleet size is a number', () => {
+    const { lead, errors } = validateLead(VALID);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(lead, { name: 'Anna Muster', company: 'Muster AG', email: 'anna@muster.ch', phone: '+41 43 888 00 12', fleetSize: 12, consent: true });
+  });
+
+  test('optional fields can be left empty', () => {
+    const { lead, errors } = validateLead({ name: 'Anna', email: 'anna@muster.ch', company: '  ', consent: true });
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(lead, { name: 'Anna', email: 'anna@muster.ch', consent: true });
+  });
+
+  test('missing and malformed values get an error key', () => {
+    assert.deepEqual(validateLead({}).errors, { name: 'required', email: 'required', consent: 'consent' });
+    assert.deepEqual(validateLead({ ...VALID, email: 'anna@muster', phone: '12', fleetSize: '0' }).errors, {
+      email: 'email', phone: 'phone', fleetSize: 'fleetSize'
+    });
+    assert.deepEqual(validateLead({ ...VALID, name: 'x'.repeat(101), fleetSize: '1234567' }).errors, {
+      name: 'required', fleetSize: 'fleetSize'
+    });
+  });
+
+  test('consent must be given explicitly', () => {
+    ['true', 1, undefined].forEach(consent => {
+      const { lead, errors } = validateLead({ ...VALID, consent });
+      assert.equal(errors.consent, 'consent');
+      assert.equal(lead.consent, undefined);
+    });
+  });
+});
+
+describe('submitLead', () => {
+  let requests;
+
+  // submitLead posts through window.fetch; reply(request) answers each request
+  const stubFetch = reply => {
+    globalThis.window = {
+      fetch: (url, options) => {
+        const request = { url, options, body: JSON.parse(options.body) };
+        requests.push(request);
+        return reply(request);
+      }
+    };
+  };
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  test('posts the payload as JSON without credentials', async () => {
+    stubFetch(() => Promise.resolve({ ok: true, status: 204 }));
+    const payload = buildLeadPayload({ name: 'Anna' }, { type: 'diesel' }, { lang: 'de', country: 'CH' });
+
+    await submitLead('https://crm.example.com/leads', payload);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://crm.example.com/leads');
+    assert.equal(requests[0].options.method, 'POST');
+    assert.equal(requests[0].options.credentials, 'omit');
+    assert.equal(requests[0].options.headers['Content-Type'], 'application/json');
+    assert.deepEqual(requests[0].body, { version: LEAD_VERSION, lead: { name: 'Anna' }, calculation: { type: 'diesel' }, context: { lang: 'de', country: 'CH' } });
+  });
+
+  test('rejects on other statuses than 2xx', async () => {
+    stubFetch(() => Promise.resolve({ ok: false, status: 500 }));
+    await assert.rejects(submitLead('/leads', {}), /HTTP 500/);
+  });
+
+  test('gives up after 15 seconds', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    stubFetch(({ options }) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    let settled = false;
+    const sent = submitLead('/leads', {}).finally(() => { settled = true; });
+
+    t.mock.timers.tick(14999);
+    await Promise.resolve();
+    assert.equal(settled, false);
+
+    t.mock.timers.tick(1);
+    await assert.rejects(sent, /aborted/);
+  });
+
+  test('rejects when fetch is not available', async () => {
+    globalThis.window = {};
+    await assert.rejects(submitLead('/leads', {}), /fetch is not available/);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Pricing feed validation
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { COUNTRY_CONFIG } from '../src/js/markets.js';
+import { validatePricing } from '../src/js/pricing.js';
+
+const FEED = JSON.parse(readFileSync(new URL('../pricing.json', import.meta.url), 'utf-8'));
+
+test('the bundled feed is valid for every market', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const countries = validatePricing(FEED);
+
+  assert.deepEqual(Object.keys(countries).sort(), Object.keys(COUNTRY_CONFIG).sort());
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('entries in another currency than their market are rejected', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const countries = validatePricing({
+    version: 1,
+    countries: {
+      CH: { ...FEED.countries.CH },
+      DE: { ...FEED.countries.DE, currency: 'CHF' },
+      AT: { ...FEED.countries.AT, currency: 'eur' },
+      PL: { ...FEED.countries.PL, currency: 'EUR' },
+      XX: { ...FEED.countries.DE }
+    }
+  });
+
+  assert.deepEqual(Object.keys(countries), ['CH']);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+    'TecBlu Calculator: Ignoring invalid pricing feed entry "DE"',
+    'TecBlu Calculator: Ignoring invalid pricing feed entry "AT"',
+    'TecBlu Calculator: Ignoring invalid pricing feed entry "PL"',
+    'TecBlu Calculator: Ignoring invalid pricing feed entry "XX"'
+  ]);
+});
@@ -0,0 +1,91 @@
+/**
+ * PDF savings report structure
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderReportPdf } from '../src/js/report.js';
+
+const REPORT = {
+  title: 'TecBlu Sparbericht',
+  subtitle: 'Treibstoff · 31. Januar 2026',
+  primaryLabel: 'Jährliche Nettoersparnis',
+  primaryValue: 'CHF 11’546.–',
+  sections: [
+    { heading: 'Ihre Angaben', rows: [['Fahrzeuge', '5'], ['Treibstoffpreis', '1,60 €']] },
+    { heading: 'Ergebnisse pro Jahr', rows: [['CO₂-Reduktion', '23,7 t']] }
+  ],
+  comparison: {
+    heading: 'Jährliche Treibstoffkosten im Vergleich',
+    rows: [{ label: 'Ohne TecBlu', value: 'CHF 249’600.–', share: 1 }, { label: 'Mit TecBlu', value: 'CHF 238’054.–', share: 0.95 }]
+  },
+  notes: ['Unverbindliche Schätzung (Stand: Januar 2026)']
+};
+
+// The PDF as a string, one char per byte
+const render = report => Buffer.from(renderReportPdf(report)).toString('latin1');
+
+// Objects of a PDF keyed by number
+const parseObjects = pdf => Object.fromEntries(
+  [...pdf.matchAll(/(\d+) 0 obj\n([\s\S]*?)\nendobj\n/g)].map(match => [Number(match[1]), match[2]])
+);
+
+test('the file has a header, objects, a matching xref table and a trailer', () => {
+  const pdf = render(REPORT);
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+
+  const objects = parseObjects(pdf);
+  const count = Object.keys(objects).length;
+  const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(pdf.startsWith(`xref\n0 ${count + 1}\n`, xref));
+
+  const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  assert.equal(offsets.length, count);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1}`));
+
+  assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count + 1} /Root 1 0 R /Info 5 0 R >>`));
+  assert.match(objects[5], /\/Title \(TecBlu Sparbericht\)/);
+});
+
+test('one A4 page with Helvetica and a stream of the declared length', () => {
+  const objects = parseObjects(render(REPORT));
+
+  assert.match(objects[2], /\/Kids \[6 0 R\] \/Count 1/);
+  assert.match(objects[3], /\/BaseFont \/Helvetica \/Encoding \/WinAnsiEncoding/);
+  assert.match(objects[4], /\/BaseFont \/Helvetica-Bold /);
+  assert.match(objects[6], /\/MediaBox \[0 0 595.28 841.89\]/);
+
+  const [, length, content] = objects[7].match(/^<< \/Length (\d+) >>\nstream\n([\s\S]*)\nendstream$/);
+  assert.equal(content.length, Number(length));
+  ['Ihre Angaben', 'Fahrzeuge', 'Ergebnisse pro Jahr', 'Ohne TecBlu', 'Mit TecBlu'].forEach(text => {
+    assert.ok(content.includes(`(${text}) Tj`), text);
+  });
+});
+
+test('text is encoded in WinAnsiEncoding and escaped', () => {
+  const pdf = render({
+    ...REPORT,
+    sections: [{ heading: 'Zeichen', rows: [['Preis (netto)', '1,60 €'], ['Back\\slash', 'Plzeň, Łódź 🚚'], ['CO₂', '23,7\u202ft']] }]
+  });
+
+  assert.ok(pdf.includes('(CHF 11\x92546.\x96) Tj'));
+  assert.ok(pdf.includes('(1,60 \x80) Tj'));
+  assert.ok(pdf.includes('(Preis \\(netto\\)) Tj'));
+  assert.ok(pdf.includes('(Back\\\\slash) Tj'));
+  assert.ok(pdf.includes('(Plzen, L\xf3dz ?) Tj'));
+  assert.ok(pdf.includes('(CO2) Tj'));
+  assert.ok(pdf.includes('(23,7 t) Tj'));
+});
+
+test('long reports continue on further pages', () => {
+  const rows = Array.from({ length: 60 }, (_, i) => [`Zeile ${i + 1}`, String(i)]);
+  const objects = parseObjects(render({ ...REPORT, sections: [{ heading: 'Viele Zeilen', rows }] }));
+
+  assert.match(objects[2], /\/Kids \[6 0 R 8 0 R\] \/Count 2/);
+  assert.ok(objects[7].includes('(Zeile 1) Tj'));
+  assert.ok(objects[9].includes('(Zeile 60) Tj'));
+  assert.ok(!objects[7].includes('(Zeile 60) Tj'));
+});
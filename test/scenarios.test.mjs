@@ -0,0 +1,102 @@
+/**
+ * Scenario comparison and stored scenarios
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COUNTRY_CONFIG } from '../src/js/markets.js';
+import { computeFuelSavings, computeHeatingSavings } from '../src/js/engine.js';
+import { MAX_SCENARIOS, createScenario, compareScenarios, parseScenarios, setBaseline } from '../src/js/scenarios.js';
+
+const FLEET = { vehicles: 5, km: 80000, consumption: 32, savings: 7 };
+
+// Scenario of the diesel tab in a market, with its default price
+function fuelScenario(name, country, inputs = {}) {
+  const config = COUNTRY_CONFIG[country];
+  const result = computeFuelSavings({ ...FLEET, price: config.dieselPrice, ...inputs }, config);
+  return createScenario(name, { ...FLEET, ...inputs }, result, country);
+}
+
+test('differences are taken against the first scenario of the tab', () => {
+  const base = fuelScenario('Five', 'CH');
+  const more = fuelScenario('Ten', 'CH', { vehicles: 10 });
+  const rows = compareScenarios([base, more], 'diesel');
+
+  assert.deepEqual(rows.map(row => row.isBaseline), [true, false]);
+  assert.deepEqual(rows[0].diffs, { net: 0, litersSaved: 0, co2: 0, tecCost: 0 });
+  assert.equal(rows[1].diffs.net, more.results.net - base.results.net);
+  assert.equal(rows[1].diffs.litersSaved, base.results.litersSaved);
+});
+
+test('another scenario can be made the baseline of its tab', () => {
+  const scenarios = setBaseline([fuelScenario('Five', 'CH'), fuelScenario('Ten', 'CH', { vehicles: 10 })], 'x');
+  assert.deepEqual(scenarios.map(scenario => scenario.baseline), [false, false]);
+
+  const rows = compareScenarios(setBaseline(scenarios, scenarios[1].id), 'diesel');
+  assert.deepEqual(rows.map(row => row.isBaseline), [false, true]);
+  assert.ok(rows[0].diffs.net < 0);
+});
+
+test('money is only compared within one currency', () => {
+  const chf = fuelScenario('Zürich', 'CH');
+  const eur = fuelScenario('München', 'DE');
+  const pln = fuelScenario('Kraków', 'PL');
+  const rows = compareScenarios([chf, eur, pln], 'diesel');
+
+  assert.deepEqual(rows.map(row => row.scenario.currency), ['CHF', 'EUR', 'PLN']);
+  rows.slice(1).forEach(row => {
+    assert.equal(row.diffs.net, null);
+    assert.equal(row.diffs.tecCost, null);
+    assert.equal(row.diffs.litersSaved, 0);
+    assert.equal(row.diffs.co2, 0);
+  });
+
+  // Against a EUR baseline, the other EUR market is compared in money too
+  const at = fuelScenario('Wien', 'AT', { vehicles: 6 });
+  const eurRows = compareScenarios(setBaseline([chf, eur, at], eur.id), 'diesel');
+  assert.equal(eurRows[0].diffs.net, null);
+  assert.equal(eurRows[2].diffs.net, at.results.net - eur.results.net);
+});
+
+test('each tab is compared on its own', () => {
+  const config = COUNTRY_CONFIG.CH;
+  const heating = createScenario('House', { liters: 8000 },
+    computeHeatingSavings({ liters: 8000, price: 1.35, savings: 7 }, config), 'CH');
+  const scenarios = [fuelScenario('Five', 'CH'), heating];
+
+  assert.deepEqual(compareScenarios(scenarios, 'heating').map(row => row.scenario.name), ['House']);
+  assert.equal(compareScenarios(scenarios, 'heating')[0].isBaseline, true);
+  assert.deepEqual(compareScenarios([], 'diesel'), []);
+});
+
+test('stored scenarios in several currencies are read back', () => {
+  const stored = JSON.parse(JSON.stringify([fuelScenario('Zürich', 'CH'), fuelScenario('Praha', 'CZ')]));
+  const scenarios = parseScenarios(stored);
+
+  assert.deepEqual(scenarios, stored);
+  assert.deepEqual(scenarios.map(scenario => scenario.currency), ['CHF', 'CZK']);
+});
+
+test('invalid stored scenarios are left out', () => {
+  const valid = fuelScenario('Zürich', 'CH');
+  const scenarios = parseScenarios([
+    valid,
+    null,
+    { ...valid, id: 1 },
+    { ...valid, type: 'petrol' },
+    { ...valid, currency: undefined },
+    { ...valid, inputs: null },
+    { ...valid, results: { ...valid.results, net: 'NaN' } }
+  ]);
+
+  assert.deepEqual(scenarios, [valid]);
+  assert.deepEqual(parseScenarios({ scenarios: [valid] }), []);
+  assert.deepEqual(parseScenarios(undefined), []);
+});
+
+test('at most MAX_SCENARIOS are read per tab', () => {
+  const many = Array.from({ length: MAX_SCENARIOS + 2 }, (_, i) => fuelScenario(`S${i}`, i % 2 ? 'DE' : 'CH'));
+  assert.equal(parseScenarios(many).length, MAX_SCENARIOS);
+});
@@ -0,0 +1,44 @@
+/**
+ * Link format of the shareable state
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { serializeInputs, deserializeInputs } from '../src/js/share.js';
+import { parseInputs } from '../src/js/inputs.js';
+
+const INPUTS = {
+  tab: 'heating',
+  vehicles: 20,
+  km: 120000,
+  consumption: 32,
+  dieselPrice: 2.049,
+  dieselSavings: 9,
+  building: 'multi',
+  heatingLiters: 8000,
+  heatingPrice: 1.35,
+  heatingSavings: 7
+};
+
+test('the country comes first', () => {
+  assert.equal(
+    serializeInputs(INPUTS, 'CH'),
+    'cc:CH,t:heating,v:20,km:120000,c:truck,dp:2.05,ds:9,b:multi,hl:8000,hp:1.35,hs:7'
+  );
+});
+
+test('links round-trip through parseInputs', () => {
+  const values = deserializeInputs(serializeInputs(INPUTS, 'DE'));
+  assert.equal(values.country, 'DE');
+
+  const rejected = [];
+  assert.deepEqual(parseInputs(values, key => rejected.push(key)), { ...INPUTS, consumption: 'truck', dieselPrice: 2.05 });
+  assert.deepEqual(rejected, []);
+});
+
+test('unknown and malformed fields are skipped', () => {
+  assert.deepEqual(deserializeInputs('cc:CH,zz:1,v,:5,km:90000'), { country: 'CH', km: '90000' });
+  assert.deepEqual(deserializeInputs(''), {});
+});
@@ -0,0 +1,89 @@
+/**
+ * Theme validation
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveTheme } from '../src/js/theme.js';
+
+// Resolve a theme and collect the keys it rejects
+function resolve(theme) {
+  const rejected = [];
+  const resolved = resolveTheme(theme, key => rejected.push(key));
+  return { resolved, rejected };
+}
+
+test('no theme resolves to the defaults', () => {
+  const { resolved, rejected } = resolve(undefined);
+  assert.deepEqual(resolved, { mode: 'light', shadow: 'neumorphic', colors: {}, radius: null, font: null, loadFonts: true, cta: {} });
+  assert.deepEqual(rejected, []);
+});
+
+test('a string is the mode', () => {
+  assert.equal(resolve('dark').resolved.mode, 'dark');
+  assert.deepEqual(resolve('sepia').rejected, ['mode']);
+  assert.equal(resolve('sepia').resolved.mode, 'light');
+});
+
+test('valid values are applied', () => {
+  const { resolved, rejected } = resolve({
+    mode: 'auto',
+    shadow: 'flat',
+    colors: { primary: ' #0b5fff ', accent: 'rgb(16, 185, 129)' },
+    radius: '6',
+    font: "'Source Sans 3', sans-serif",
+    cta: { phone: '+49 30 1234567', button: 'Angebot anfordern', question: { de: 'Fragen?' }, text: { after: '!' } }
+  });
+
+  assert.deepEqual(rejected, []);
+  assert.equal(resolved.mode, 'auto');
+  assert.equal(resolved.shadow, 'flat');
+  assert.deepEqual(resolved.colors, { '--tt': '#0b5fff', '--tg': 'rgb(16, 185, 129)' });
+  assert.equal(resolved.radius, 6);
+  assert.equal(resolved.font, "'Source Sans 3', sans-serif");
+  assert.equal(resolved.loadFonts, false);
+  assert.deepEqual(resolved.cta, { phone: '+49 30 1234567', button: 'Angebot anfordern', question: { de: 'Fragen?' }, after: '!' });
+});
+
+test('invalid values are rejected and left out', () => {
+  const { resolved, rejected } = resolve({
+    mode: 'night',
+    shadow: 'deep',
+    colors: { primary: 'red; background: url(x)', brand: '#fff', accent: 42 },
+    radius: 41,
+    font: 'Inter; color: red',
+    loadFonts: 'yes',
+    cta: { phone: 'call us', button: ['Go'], question: { de: 1 }, text: 'none' }
+  });
+
+  assert.deepEqual(rejected, [
+    'mode', 'shadow', 'colors.primary', 'colors.brand', 'colors.accent', 'radius', 'font', 'loadFonts',
+    'cta.phone', 'cta.button', 'cta.question', 'cta.text'
+  ]);
+  assert.deepEqual(resolved, { mode: 'light', shadow: 'neumorphic', colors: {}, radius: null, font: null, loadFonts: true, cta: {} });
+});
+
+test('colors must be an object', () => {
+  assert.deepEqual(resolve({ colors: '#0b5fff' }).rejected, ['colors']);
+});
+
+test('radius is limited to 0 to 40 pixels', () => {
+  assert.equal(resolve({ radius: 0 }).resolved.radius, 0);
+  assert.equal(resolve({ radius: 40 }).resolved.radius, 40);
+  assert.deepEqual(resolve({ radius: -1 }).rejected, ['radius']);
+  assert.deepEqual(resolve({ radius: '' }).rejected, ['radius']);
+  assert.deepEqual(resolve({ radius: 'large' }).rejected, ['radius']);
+});
+
+test('the phone line and savings sentence can be hidden', () => {
+  const { resolved, rejected } = resolve({ cta: { phone: false, text: false } });
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(resolved.cta, { phone: false, text: false });
+});
+
+test('loadFonts overrides the default of the font', () => {
+  assert.equal(resolve({ font: 'Georgia', loadFonts: true }).resolved.loadFonts, true);
+  assert.equal(resolve({ loadFonts: false }).resolved.loadFonts, false);
+});
@@ -0,0 +1,63 @@
+/**
+ * Display unit conversions, for every unit of UNIT_SYSTEMS
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LIMITS } from '../src/js/engine.js';
+import { UNITS, UNIT_SYSTEMS, resolveUnits, toDisplay, fromDisplay, displayLimits } from '../src/js/units.js';
+
+// Metric values to convert: the LIMITS edges and values in between
+const SAMPLES = {
+  distance: [...LIMITS.km, 80000, 123457, 80467.2],
+  consumption: [...LIMITS.cons, 32, 10.5, 7.3],
+  volume: [...LIMITS.heating, 8000, 1234.5],
+  co2: [0.001, 2.65, 23.744, 1000]
+};
+
+Object.entries(UNIT_SYSTEMS).forEach(([system, units]) => {
+  describe(`unit system ${system}`, () => {
+    test('resolves to its units', () => {
+      assert.deepEqual(resolveUnits(system), units);
+    });
+
+    Object.entries(units).forEach(([kind, unit]) => {
+      test(`${kind} in ${unit} converts back unchanged`, () => {
+        assert.ok(UNITS[kind][unit], `${kind} unit ${unit} is defined`);
+        SAMPLES[kind].forEach(value => {
+          assert.equal(fromDisplay(kind, unit, toDisplay(kind, unit, value)), value);
+        });
+      });
+    });
+  });
+});
+
+test('conversions match the definitions of mile and gallon', () => {
+  assert.equal(toDisplay('distance', 'mi', 80467.2), 50000);
+  assert.equal(fromDisplay('distance', 'mi', 50000), 80467.2);
+  assert.equal(toDisplay('volume', 'gal-us', 3.785411784), 1);
+  assert.equal(fromDisplay('volume', 'gal-uk', 1), 4.54609);
+  assert.equal(toDisplay('co2', 'kg', 2.65), 2650);
+  // 32 L/100km is 7.04 UK gallons per 62.14 mi
+  assert.ok(Math.abs(toDisplay('consumption', 'mpg-uk', 32) - 8.8275) < 1e-4);
+});
+
+test('display limits stay within the metric limits', () => {
+  [['distance', LIMITS.km], ['consumption', LIMITS.cons], ['volume', LIMITS.heating]].forEach(([kind, limits]) => {
+    Object.keys(UNITS[kind]).forEach(unit => {
+      displayLimits(kind, unit, limits).forEach(value => {
+        const metric = fromDisplay(kind, unit, value);
+        assert.ok(metric >= limits[0] && metric <= limits[1], `${kind} ${unit} ${value}`);
+      });
+    });
+  });
+});
+
+test('unknown units resolve to null', () => {
+  assert.equal(resolveUnits('imperial'), null);
+  assert.equal(resolveUnits('mi,furlong'), null);
+  assert.equal(resolveUnits({ distance: 'mpg-uk' }), null);
+  assert.deepEqual(resolveUnits('kg,mi'), { ...UNIT_SYSTEMS.metric, distance: 'mi', co2: 'kg' });
+});
@@ -0,0 +1,359 @@
+/**
+ * Built widget (dist/tecblu-calc.js) mounted in jsdom
+ * Run with: npm test (builds the bundle first)
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+import { webcrypto } from 'node:crypto';
+
+import { LIMITS } from '../src/js/engine.js';
+import { decodeHandoff, parseHandoff } from '../src/js/handoff.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let bundle;
+
+before(() => {
+  execFileSync(process.execPath, ['build.js'], { cwd: ROOT, stdio: 'ignore' });
+  bundle = readFileSync(new URL('../dist/tecblu-calc.js', import.meta.url), 'utf-8');
+});
+
+/**
+ * Render a page with the bundle and wait for the widgets to initialize
+ * @param {string} body - Page body
+ * @param {Object} [options] - { url, storage: localStorage entries to set before the bundle runs,
+ *   globals: window properties jsdom lacks }
+ * @returns {Promise<Object>} { window, document, warnings }
+ */
+function mount(body, { url = 'https://tecblu.ch/', storage = {}, globals = {} } = {}) {
+  const warnings = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', message => warnings.push(message));
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+  Object.entries(globals).forEach(([name, value]) => Object.defineProperty(window, name, { value, configurable: true }));
+  const script = window.document.createElement('script');
+  script.textContent = bundle;
+  window.document.body.appendChild(script);
+  return new Promise(resolve => {
+    window.addEventListener('load', () => resolve({ window, document: window.document, warnings }));
+  });
+}
+
+// Find an element of a calculator by its template ID (IDs get an instance suffix)
+const byId = (calc, id) => calc.element.querySelector(`[id^="${id}-"]`);
+
+test('savings sliders span LIMITS.savings', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+
+  ['tec-savings-slider', 'tec-heating-savings-slider'].forEach(id => {
+    const slider = byId(calc, id);
+    assert.deepEqual([Number(slider.min), Number(slider.max)], LIMITS.savings);
+  });
+});
+
+test('savings within LIMITS round-trip through setInputs and getInputs', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+
+  for (let savings = LIMITS.savings[0]; savings <= LIMITS.savings[1]; savings++) {
+    calc.setInputs({ dieselSavings: savings, heatingSavings: savings });
+    const inputs = calc.getInputs();
+    assert.equal(inputs.dieselSavings, savings);
+    assert.equal(inputs.heatingSavings, savings);
+    assert.equal(byId(calc, 'tec-savings-display').textContent, String(savings));
+  }
+});
+
+test('data-* savings are validated against LIMITS', async () => {
+  const { window, document, warnings } = await mount(
+    '<div data-tecblu-calculator data-diesel-savings="3" data-heating-savings="25"></div>' +
+    '<div data-tecblu-calculator data-diesel-savings="30" data-heating-savings="0"></div>'
+  );
+  const [valid, invalid] = [...document.querySelectorAll('[data-tecblu-calculator]')].map(el => window.TecBluCalc.get(el).getInputs());
+
+  assert.deepEqual([valid.dieselSavings, valid.heatingSavings], [3, 25]);
+  assert.deepEqual([invalid.dieselSavings, invalid.heatingSavings], [7, 7]);
+  assert.ok(warnings.includes('TecBlu Calculator: Ignoring data-diesel-savings="30" (expected a number from 1 to 25)'));
+  assert.ok(warnings.includes('TecBlu Calculator: Ignoring data-heating-savings="0" (expected a number from 1 to 25)'));
+});
+
+test('the dataLayer gets one tecblu:calculated per burst of changes', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator" data-datalayer></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const calculated = () => window.dataLayer.filter(entry => entry.event === 'tecblu_calculated');
+  await new Promise(resolve => setTimeout(resolve, 600));
+  window.dataLayer.length = 0;
+
+  const raw = [];
+  calc.element.addEventListener('tecblu:calculated', e => raw.push(e.detail));
+  [2, 3, 4, 5, 6].forEach(vehicles => calc.setInputs({ vehicles }));
+  assert.equal(raw.length, 5);
+  assert.equal(calculated().length, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.equal(calculated().length, 1);
+  assert.equal(calculated()[0].tecblu.inputs.vehicles, 6);
+});
+
+test('shareable links are off unless data-share is set', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>', { url: 'https://tecblu.ch/?tecblu=cc:CH,v:42' });
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+
+  assert.notEqual(calc.getInputs().vehicles, 42);
+  assert.equal(byId(calc, 'tec-share-btn').classList.contains('tec-hidden'), true);
+});
+
+test('shared links carry the country and only apply in that market', async () => {
+  const link = 'https://tecblu.ch/?tecblu=cc:CH,t:heating,v:42,dp:2.05';
+  const ch = await mount('<div id="tecblu-calculator" data-share></div>', { url: link });
+  const calc = ch.window.TecBluCalc.get(ch.document.getElementById('tecblu-calculator'));
+  assert.equal(calc.getInputs().vehicles, 42);
+  assert.equal(calc.getInputs().dieselPrice, 2.05);
+
+  const changed = new Promise(resolve => calc.element.addEventListener('tecblu:inputchange', resolve, { once: true }));
+  const km = byId(calc, 'tec-km-input');
+  km.value = '90000';
+  km.dispatchEvent(new ch.window.Event('input', { bubbles: true }));
+  await changed;
+  assert.match(ch.window.location.search, /^\?tecblu=cc:CH,t:heating,v:42,km:90000,/);
+
+  const de = await mount('<div id="tecblu-calculator" data-share data-country="DE"></div>', { url: link });
+  const other = de.window.TecBluCalc.get(de.document.getElementById('tecblu-calculator'));
+  assert.notEqual(other.getInputs().vehicles, 42);
+  assert.ok(de.warnings.includes('TecBlu Calculator: Ignoring shared link for country "CH" (calculator is set to DE)'));
+});
+
+test('explicit inputs win over a shared link', async () => {
+  const { window, document } = await mount(
+    '<div id="tecblu-calculator" data-share data-tab="diesel" data-vehicles="3"></div>',
+    { url: 'https://tecblu.ch/?tecblu=cc:CH,t:heating,v:42,km:120000' }
+  );
+  const inputs = window.TecBluCalc.get(document.getElementById('tecblu-calculator')).getInputs();
+
+  assert.equal(inputs.tab, 'diesel');
+  assert.equal(inputs.vehicles, 3);
+  assert.equal(inputs.km, 120000);
+});
+
+test('only one calculator shares each query parameter', async () => {
+  const { window, document, warnings } = await mount(
+    '<div data-tecblu-calculator data-share></div><div data-tecblu-calculator data-share></div>' +
+    '<div data-tecblu-calculator data-share data-state-key="second"></div>',
+    { url: 'https://tecblu.ch/?tecblu=cc:CH,v:42&second=cc:CH,v:7' }
+  );
+  const vehicles = [...document.querySelectorAll('[data-tecblu-calculator]')]
+    .map(el => window.TecBluCalc.get(el).getInputs().vehicles);
+
+  assert.equal(vehicles[0], 42);
+  assert.notEqual(vehicles[1], 42);
+  assert.equal(vehicles[2], 7);
+  assert.equal(warnings.filter(message => message.includes('already shares its inputs as ?tecblu=')).length, 1);
+});
+
+test('persisted calculators keep their own inputs and scenarios', async () => {
+  const { window, document } = await mount(
+    '<div data-tecblu-calculator data-persist data-storage-key="fleet"></div>' +
+    '<div data-tecblu-calculator data-persist data-storage-key="office"></div>'
+  );
+  const [fleet, office] = [...document.querySelectorAll('[data-tecblu-calculator]')].map(el => window.TecBluCalc.get(el));
+
+  [[fleet, 40], [office, 2]].forEach(([calc, vehicles]) => {
+    calc.element.dispatchEvent(new window.CustomEvent('tecblu:inputchange', {
+      detail: { inputs: { ...calc.getInputs(), vehicles } }
+    }));
+  });
+  fleet.saveScenario('Trucks');
+
+  assert.deepEqual(Object.keys(window.localStorage).sort(), [
+    'tecblu-calc:tecblu.ch:fleet:CH', 'tecblu-calc:tecblu.ch:fleet:scenarios', 'tecblu-calc:tecblu.ch:office:CH'
+  ]);
+  assert.equal(JSON.parse(window.localStorage.getItem('tecblu-calc:tecblu.ch:fleet:CH')).inputs.vehicles, 40);
+  assert.equal(JSON.parse(window.localStorage.getItem('tecblu-calc:tecblu.ch:office:CH')).inputs.vehicles, 2);
+});
+
+test('two persisted calculators need their own storage key', async () => {
+  const { warnings } = await mount('<div data-tecblu-calculator data-persist></div><div data-tecblu-calculator data-persist></div>');
+  assert.equal(warnings.filter(message => message.includes('already saves its inputs as "tecblu"')).length, 1);
+});
+
+test('explicit inputs win over saved inputs', async () => {
+  const { window, document } = await mount(
+    '<div id="tecblu-calculator" data-persist data-vehicles="3"></div>',
+    { storage: { 'tecblu-calc:tecblu.ch:tecblu:CH': { version: 1, inputs: { tab: 'heating', vehicles: 40, km: 90000 } } } }
+  );
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+
+  assert.equal(calc.getInputs().tab, 'heating');
+  assert.equal(calc.getInputs().vehicles, 3);
+  assert.equal(calc.getInputs().km, 90000);
+});
+
+test('the projection is only drawn while its panel is open', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const rows = () => byId(calc, 'tec-projection-rows').children.length;
+
+  calc.setInputs({ vehicles: 8 });
+  assert.equal(rows(), 0);
+  assert.equal(byId(calc, 'tec-projection-chart').children.length, 0);
+
+  byId(calc, 'tec-projection-toggle').click();
+  assert.equal(rows(), 5);
+  assert.ok(byId(calc, 'tec-projection-chart').children.length > 0);
+
+  calc.setInputs({ years: 3 });
+  assert.equal(rows(), 3);
+  assert.equal(calc.getResults().projection.rows.length, 3);
+});
+
+test('the scenario table is only drawn while its panel is open', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const rows = () => byId(calc, 'tec-scenario-rows').children.length;
+
+  calc.saveScenario('Five');
+  calc.setInputs({ vehicles: 8 });
+  assert.equal(rows(), 0);
+
+  byId(calc, 'tec-scenarios-toggle').click();
+  assert.equal(rows(), 1);
+
+  calc.saveScenario('Eight');
+  assert.equal(rows(), 2);
+  assert.deepEqual([...calc.getScenarios()].map(scenario => scenario.inputs.vehicles), [5, 8]);
+});
+
+test('the sensitivity grid is only drawn while its panel is open, the break-even notice always', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const rows = () => byId(calc, 'tec-sensitivity-rows').children.length;
+
+  calc.setInputs({ dieselSavings: 1 });
+  assert.equal(byId(calc, 'tec-breakeven-notice').classList.contains('tec-hidden'), false);
+  assert.equal(rows(), 0);
+
+  byId(calc, 'tec-sensitivity-toggle').click();
+  assert.equal(rows(), 5);
+
+  calc.setInputs({ dieselSavings: 7 });
+  assert.equal(byId(calc, 'tec-breakeven-notice').classList.contains('tec-hidden'), true);
+  assert.equal(byId(calc, 'tec-sensitivity-rows').querySelector('.current').parentElement.firstChild.textContent, '7 %');
+});
+
+test('the phone line only shows for markets with their own number', async () => {
+  const { window, document } = await mount(
+    '<div data-tecblu-calculator data-country="CH"></div><div data-tecblu-calculator data-country="DE"></div>' +
+    '<div data-tecblu-calculator data-country="DE" data-cta-phone="+49 30 1234567"></div>'
+  );
+  const lines = [...document.querySelectorAll('[data-tecblu-calculator]')]
+    .map(el => window.TecBluCalc.get(el).root.querySelector('.tec-cta-phone'));
+
+  assert.equal(lines[0].classList.contains('tec-hidden'), false);
+  assert.equal(lines[0].querySelector('a').textContent, '+41 43 888 00 12');
+  assert.equal(lines[1].classList.contains('tec-hidden'), true);
+  assert.equal(lines[2].classList.contains('tec-hidden'), false);
+  assert.equal(lines[2].querySelector('a').textContent, '+49 30 1234567');
+
+  const calc = window.TecBluCalc.get(document.querySelector('[data-tecblu-calculator]'));
+  calc.setCountry('AT');
+  assert.equal(lines[0].classList.contains('tec-hidden'), true);
+});
+
+test('the quote link follows the site and its language subdomain', async () => {
+  const paths = {
+    'https://tecblu.ch/': '/offerte-einholen',
+    'https://en.tecblu.ch/': '/offerte-einholen',
+    'https://fr.tecblu.ch/': '/offerte-einholen',
+    'https://tecblu.de/': '/offerte-einholen',
+    'https://en.tecblu.de/': '/get-a-quote',
+    'https://tecblu.fr/': '/demande-de-devis',
+    'https://en.tecblu.fr/': '/get-a-quote',
+    'https://www.tecblu.it/': '/richiedi-preventivo',
+    'https://tecblu.be/': '/demande-de-devis',
+    'https://tecblu.pl/': '/get-a-quote',
+    'https://example.com/': '/offerte-einholen'
+  };
+  for (const [url, path] of Object.entries(paths)) {
+    const { window, document } = await mount('<div id="tecblu-calculator"></div>', { url });
+    const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+    assert.equal(new URL(byId(calc, 'tec-cta-link').href).pathname, path, url);
+  }
+});
+
+test('switching units does not change the inputs', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  calc.setInputs({ km: 123457, consumption: 10.5, heatingLiters: 8123 });
+  const inputs = calc.getInputs();
+  const net = calc.getResults().net;
+
+  for (let round = 0; round < 3; round++) {
+    ['uk', 'us', 'mi,mpg-us,gal-uk,kg', 'metric'].forEach(units => {
+      calc.setUnits(units);
+      assert.deepEqual(calc.getInputs(), inputs, units);
+    });
+  }
+  assert.equal(calc.getResults().net, net);
+});
+
+test('exportResults only accepts json, csv and text', async () => {
+  const { window, document, warnings } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+
+  assert.equal(JSON.parse(calc.exportResults('json')).country, 'CH');
+  assert.match(calc.exportResults('csv'), /^created_at,country,currency,type,/);
+  assert.match(calc.exportResults('text'), /\S/);
+
+  ['CSV', 'xml', undefined].forEach(format => assert.equal(calc.exportResults(format), null));
+  assert.ok(warnings.includes('TecBlu Calculator: Unsupported export format "CSV" (expected json, csv, text)'));
+  assert.ok(warnings.includes('TecBlu Calculator: Unsupported export format "xml" (expected json, csv, text)'));
+});
+
+test('the calculation is added to the quote link when it is clicked', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator"></div>');
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const link = byId(calc, 'tec-cta-link');
+  calc.setInputs({ vehicles: 12 });
+  assert.equal(new URL(link.href).searchParams.get('calc'), null);
+
+  link.addEventListener('click', e => e.preventDefault());
+  link.click();
+  const handoff = parseHandoff(new URL(link.href).searchParams.get('calc'));
+  assert.equal(handoff.inputs.vehicles, 12);
+  assert.equal(handoff.signature, null);
+});
+
+test('with a handoff key the click waits for the signature of the current results', async () => {
+  const { window, document } = await mount('<div id="tecblu-calculator" data-handoff-key="secret"></div>', {
+    globals: { crypto: webcrypto, TextEncoder }
+  });
+  const calc = window.TecBluCalc.get(document.getElementById('tecblu-calculator'));
+  const link = byId(calc, 'tec-cta-link');
+  [3, 4, 5].forEach(vehicles => calc.setInputs({ vehicles }));
+
+  const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+  assert.equal(link.dispatchEvent(click), false);
+
+  let value;
+  for (let i = 0; i < 50 && !(value = new URL(link.href).searchParams.get('calc'))?.split('.')[2]; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const handoff = await decodeHandoff(value, { key: 'secret' });
+  assert.equal(handoff.verified, true);
+  assert.equal(handoff.inputs.vehicles, 5);
+  assert.equal(handoff.results.net, Math.round(calc.getResults().net * 100) / 100);
+});